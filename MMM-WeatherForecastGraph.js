@@ -1,43 +1,198 @@
 /* MagicMirror² Module: MMM-WeatherForecastGraph
- * Displays 48-hour weather forecast graphs for temperature, wind, and precipitation.
- * Fetches data directly from weather.gov API.
+ * Displays hourly (up to 7 days) or daily weather forecast graphs for temperature, wind, and precipitation.
+ * Fetches data from weather.gov (default), Open-Meteo or OpenWeather via node_helper,
+ * or in "passive" mode renders forecasts broadcast by other weather modules.
  */
 
-// Day name abbreviations used for midnight labels on x-axis
-const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-
 Module.register("MMM-WeatherForecastGraph", {
   defaults: {
     latitude: null,
     longitude: null,
+    location: null, // Place to look up instead of latitude/longitude: a ZIP code, "City, ST" or street address
+    geocoder: "census", // Tried first for location lookups: "census" (US addresses and ZIPs) or "openmeteo" (worldwide place names)
+    showPlaceName: true, // Add the forecast's place name (e.g. "Boulder, CO") to the module header
+    locations: [], // Several places instead of latitude/longitude: [{ name: "Home", latitude, longitude } or { name, location }, ...]
+    locationMode: "rotate", // "rotate" cycles through locations, "overlay" draws every location's temperature on one chart
+    rotateInterval: 30000, // 30 seconds per location in rotate mode
+    locationColors: ["#FFA500", "#00CED1", "#FF69B4", "#9ACD32", "#BA55D3"], // Overlay temperature lines, in locations order
+    provider: "weathergov", // "weathergov", "openmeteo" or "openweather"
+    apiKey: null, // Required for the "openweather" provider
+    dataMode: "fetch", // "fetch" (node_helper polls provider) or "passive" (listen for broadcasts)
     updateInterval: 900000, // 15 minutes
+    cacheMaxAge: 10800000, // 3 hours - older cached forecasts are not shown on startup
+    maxStaleAge: 21600000, // 6 hours - on fetch errors, keep showing older data up to this age
+    maxRequestsPerMinute: 20, // API request budget shared by every instance on this MagicMirror server
     units: "imperial", // or "metric"
+    timezone: null, // IANA zone for hours and midnight lines, e.g. "America/Denver" (default: the forecast location's)
+    timeFormat: null, // 12 ("3p") or 24 ("15") hour labels (default: MagicMirror's timeFormat)
     width: 800,
     height: 450,
     showTemperature: true,
     showFeelsLike: true,
     showWind: true,
+    showWindDirection: true, // Arrow strip under the wind chart
+    windDirectionConvention: "to", // "to" (arrows point downwind) or "from" (meteorological, point upwind)
     showPrecipitation: true,
+    showConditionIcons: true, // Icon row above the precipitation chart (thunder, sleet, snow, ...)
+    conditionIcons: {}, // Per-condition overrides, e.g. { thunder: { icon: "ϟ", color: "#FFFF00" } }
+    showHumidity: false, // Dew point and relative humidity lines
+    showSkyCover: false, // Cloud cover shaded area (shares the humidity chart)
+    // Custom chart layout replacing the show* options above, top to bottom, e.g.
+    // [{ title: "Temp & Rain", series: ["temp", { field: "pop", axis: "yPop" }], axes: { yPop: { min: 0, max: 100 } } }]
+    charts: null,
+    showAlerts: true, // NWS active alerts (weathergov provider only)
+    alertSeverities: ["Extreme", "Severe", "Moderate"], // Severities to show (also "Minor", "Unknown")
+    alertColors: {}, // Per-event color overrides, e.g. { "Heat Advisory": "#FF4500" }
     showGridLines: true,
     animateCharts: false,
     updateFadeSpeed: 500,
-    hoursToShow: 48,
+    hoursToShow: 48, // Up to 168 (7 days) where the provider has the data
+    hoursOfHistory: 0, // Observed hours drawn before now, up to 48 (weathergov provider, hourly resolution)
+    resolution: "hourly", // "hourly" or "daily" (aggregated high/low range bars per day)
+    interpolation: "step", // "step" holds each forecast value for its period; "linear" blends temperature, wind, humidity and clouds between periods
+    // Display theme: "dark", "high-contrast", "light", or "auto" for dayTheme between local
+    // sunrise and sunset and nightTheme otherwise
+    theme: "dark",
+    dayTheme: "light",
+    nightTheme: "dark",
+    themeOverrides: {}, // Merged over the theme, e.g. { grid: "#222" }; keys named after a theme, e.g. { light: { ... } }, apply to that one only
     temperatureColor: "#FFA500",
     feelsLikeColor: "#FF6347",
     windColor: "#4682B4",
     gustColor: "#6BA3D6",
     precipitationColor: "#00CED1",
     precipitationAmountColor: "#1E90FF",
-    snowAmountColor: "#87CEEB"  // Light sky blue for snow
+    snowAmountColor: "#87CEEB",  // Light sky blue for snow
+    iceAmountColor: "#FF69B4",  // Hot pink for ice / freezing rain accumulation
+    dewPointColor: "#3CB371",
+    humidityColor: "#BA55D3",
+    skyCoverColor: "#A9A9A9",
+    // Conditions to highlight and announce, e.g. { field: "temp", op: "<=", value: 32, label: "Freeze" }
+    // (optional hours: [7, 10] limits matches to those local hours, color overrides thresholdColor)
+    thresholds: [],
+    thresholdColor: "#FF4500"
+  },
+
+  // Default glyphs for condition codes from node_helper (most significant first)
+  conditionIconDefaults: {
+    thunder: { icon: "⚡", color: "#FFD700" },
+    freezing_rain: { icon: "☂", color: "#E0FFFF" },
+    sleet: { icon: "△", color: "#B0C4DE" },
+    snow: { icon: "❄", color: "#87CEEB" },
+    rain: { icon: "☂", color: "#1E90FF" },
+    fog: { icon: "≡", color: "#999999" }
+  },
+
+  // How each series in the charts option is drawn by default, by hourly field ("amounts" is
+  // the precipitation amount boxes). colorOption names the option holding its color; daily
+  // is its daily-view style: "range" (low-high bars) or "max" (daily maximum bars), with
+  // dailyLabelKey naming the legend text there.
+  // Other hourly fields can be plotted too, as plain lines.
+  seriesDefaults: {
+    temp: { labelKey: "TEMPERATURE", colorOption: "temperatureColor", unit: "°", daily: "range" },
+    feels_like: { labelKey: "FEELS_LIKE", colorOption: "feelsLikeColor", unit: "°", dash: true, daily: "range" },
+    wind_speed: { labelKey: "WIND_SPEED", dailyLabelKey: "MAX_WIND", colorOption: "windColor", daily: "max" },
+    wind_gust: {
+      labelKey: "WIND_GUST", dailyLabelKey: "MAX_GUST", colorOption: "gustColor", dash: true, hideZero: true, daily: "max"
+    },
+    pop: { labelKey: "CHANCE", colorOption: "precipitationColor", type: "bar", scale: 100 },
+    dew_point: { labelKey: "DEW_POINT", colorOption: "dewPointColor", unit: "°" },
+    humidity: { labelKey: "HUMIDITY_PERCENT", colorOption: "humidityColor", dash: true },
+    clouds: { labelKey: "CLOUDS_PERCENT", colorOption: "skyCoverColor", fill: true },
+    amounts: { labelKey: "AMOUNTS" }
+  },
+  seriesAliases: {
+    dewpoint: "dew_point",
+    gust: "wind_gust"
+  },
+
+  // Default alert colors by NWS severity (alertColors overrides per event name)
+  alertSeverityColors: {
+    Extreme: "#FF0000",
+    Severe: "#FF8C00",
+    Moderate: "#FFD700",
+    Minor: "#1E90FF",
+    Unknown: "#999999"
+  },
+
+  // Colors and sizes for everything around the data series (config colors cover the series)
+  // panel: chart and alert backgrounds; overlay: status text and "now" label backgrounds;
+  // text: titles, ticks and legends; label: value labels, "now" line and wind arrows,
+  // outlined with labelStroke; message: loading/error text
+  themes: {
+    dark: {
+      panel: "rgba(0, 0, 0, 0.8)",
+      overlay: "rgba(0, 0, 0, 0.7)",
+      text: "#999",
+      label: "#ccc",
+      labelStroke: "rgba(0, 0, 0, 0.8)",
+      grid: "#333",
+      midnight: "#555",
+      message: "#666",
+      labelFontSize: 13,
+      fontSize: 14,
+      titleFontSize: 16,
+      smallFontSize: 11,
+      legendWidth: 140
+    },
+    "high-contrast": {
+      panel: "#000",
+      overlay: "#000",
+      text: "#FFF",
+      label: "#FFF",
+      labelStroke: "#000",
+      grid: "#666",
+      midnight: "#AAA",
+      message: "#CCC",
+      labelFontSize: 15,
+      fontSize: 16,
+      titleFontSize: 18,
+      smallFontSize: 13,
+      legendWidth: 160
+    },
+    light: {
+      panel: "rgba(255, 255, 255, 0.9)",
+      overlay: "rgba(255, 255, 255, 0.85)",
+      text: "#555",
+      label: "#222",
+      labelStroke: "rgba(255, 255, 255, 0.8)",
+      grid: "#DDD",
+      midnight: "#999",
+      message: "#777",
+      labelFontSize: 13,
+      fontSize: 14,
+      titleFontSize: 16,
+      smallFontSize: 11,
+      legendWidth: 140
+    }
   },
 
   weatherData: null,
   precipitationPeriods: [],
+  // With several locations: latest data/error per index in locations, and which one is displayed
+  locationData: {},
+  activeLocationIndex: 0,
+  rotateIntervalId: null,
+  // When the current data was fetched, and whether it was served from node_helper's cache
+  dataTimestamp: null,
+  dataFromCache: false,
   charts: {},
-  // Flag to prevent duplicate chart renders during async DOM updates
-  renderPending: false,
-  // Error message from API failures
+  // Columns the charts were drawn with (hours or days) and the hour they start from,
+  // so the clock can move the "now" line and roll the window forward
+  chartColumns: [],
+  chartStartDt: null,
+  clockIntervalId: null,
+  // When node_helper last replied (or was last sent CONFIG), for the clock's check
+  lastReplyAt: null,
+  // Cached by getLabelFormatters
+  labelFormatters: null,
+  // Threshold events already announced with WEATHER_GRAPH_EVENT (see notifyEvents)
+  notifiedEvents: [],
+  // What the last getDom built around the charts (see getLayoutKey), null for a message
+  renderedLayout: null,
+  // Error message from API failures, and when node_helper will try again (ms)
   errorMessage: null,
+  retryIn: null,
   // Track hidden state for MMM-pages compatibility
   hidden: false,
   // Loading timeout tracking
@@ -48,26 +203,77 @@ Module.register("MMM-WeatherForecastGraph", {
     return [this.file("MMM-WeatherForecastGraph.css")];
   },
 
+  getTranslations: function () {
+    return {
+      en: "translations/en.json",
+      de: "translations/de.json",
+      es: "translations/es.json",
+      fr: "translations/fr.json"
+    };
+  },
+
   getScripts: function () {
     return [
       this.file("node_modules/chart.js/dist/chart.umd.js"),
       this.file("node_modules/chartjs-plugin-annotation/dist/chartjs-plugin-annotation.min.js"),
-      this.file("node_modules/chartjs-plugin-datalabels/dist/chartjs-plugin-datalabels.min.js")
+      this.file("node_modules/chartjs-plugin-datalabels/dist/chartjs-plugin-datalabels.min.js"),
+      this.file("weather-processing.js")
     ];
   },
 
   start: function () {
     Log.info("Starting module: " + this.name);
     // Validate config bounds
-    this.config.hoursToShow = Math.max(1, Math.min(48, this.config.hoursToShow));
+    this.config.hoursToShow = Math.max(1, Math.min(168, this.config.hoursToShow));
+    this.config.hoursOfHistory = Math.max(0, Math.min(48, this.config.hoursOfHistory));
+    this.requestData();
+    this.startRotation();
+    this.startClock();
+  },
+
+  // Every minute, move the "now" line; when a new hour starts (or the theme changes), redraw
+  // the charts from the data already here so the window rolls forward without waiting for
+  // the next fetch
+  startClock: function () {
+    clearInterval(this.clockIntervalId);
+    this.clockIntervalId = setInterval(() => {
+      // node_helper forgets this instance some time after its socket disconnects, and
+      // everything on a restart; a reconnected socket doesn't say so. Subscribe again after
+      // two update intervals without a reply.
+      const silence = Date.now() - this.lastReplyAt;
+      if (this.config.dataMode !== "passive" && this.hasLocation() && silence > 2 * this.config.updateInterval) {
+        Log.warn(this.name + ": No reply from node_helper, sending config again");
+        this.requestData();
+      }
+
+      if (this.hidden || !this.weatherData || !this.weatherData.hourly || this.chartStartDt === null) return;
+
+      const startHour = WeatherForecastGraphProcessing.startOfHour(new Date(), this.getTimeZone());
+      if (Math.floor(startHour.getTime() / 1000) === this.chartStartDt && this.getLayoutKey() === this.renderedLayout) {
+        this.updateNowMarker();
+      } else {
+        // Past maxStaleAge (or out of data) this swaps the charts for the error message;
+        // with theme "auto" it also switches themes at sunrise and sunset
+        this.refresh();
+      }
+    }, 60000);
+  },
+
+  // Send the config to node_helper, which (re)subscribes this instance and fetches as needed
+  requestData: function () {
+    // Passive mode renders broadcasts from other modules - node_helper never polls
+    if (this.config.dataMode === "passive") {
+      return;
+    }
 
     // Validate required config
-    if (!this.config.latitude || !this.config.longitude) {
-      Log.error(this.name + ": latitude and longitude are required in config");
+    if (!this.hasLocation()) {
+      Log.error(this.name + ": latitude and longitude (or location, or locations) are required in config");
       return;
     }
 
     // Send config to node_helper to initiate data fetching
+    this.lastReplyAt = Date.now();
     this.sendSocketNotification("CONFIG", {
       ...this.config,
       instanceId: this.identifier
@@ -110,40 +316,146 @@ Module.register("MMM-WeatherForecastGraph", {
     Log.info(this.name + ": Resuming");
     this.hidden = false;
 
-    // If there's an error, need to updateDom to show error state
-    if (this.errorMessage) {
-      this.updateDom(this.config.updateFadeSpeed);
+    // Charts were destroyed on suspend - redraw them into the existing DOM if it still fits
+    this.refresh();
+  },
+
+  // Show the current data and status. When the DOM already holds the same charts, they are
+  // updated in place; otherwise the DOM is rebuilt (with the usual fade) and the charts are
+  // drawn once it is on the page (see MODULE_DOM_UPDATED in notificationReceived).
+  refresh: function () {
+    // Nothing is drawn while hidden - resume catches up
+    if (this.hidden) return;
+
+    const layout = this.getLayoutKey();
+    if (layout && layout === this.renderedLayout && this.hasChartDom()) {
+      this.updateStatus();
+      this.renderCharts();
       return;
     }
 
-    // Check if DOM exists (canvas element) and no pending render
-    const canvas = document.getElementById(this.identifier + "-temp-chart");
-    if (this.weatherData && canvas && !this.renderPending) {
-      // Reuse existing DOM - just render charts directly
-      this.renderCharts();
-    } else if (this.weatherData) {
-      // DOM doesn't exist or render pending - need full DOM update
-      this.updateDom(this.config.updateFadeSpeed);
+    this.updateDom(this.config.updateFadeSpeed);
+  },
+
+  // Chart canvases getDom creates, in display order
+  getChartIds: function () {
+    return this.getChartsConfig().map((chart) => chart.id);
+  },
+
+  // Everything getDom would build around the charts, or null when it would show a message
+  // instead. Only the status text may change without a rebuild (updateStatus sets it).
+  getLayoutKey: function () {
+    if (this.config.dataMode !== "passive" && !this.hasLocation()) return null;
+    if (this.errorMessage && !this.hasUsableData()) return null;
+    if (!this.weatherData || !this.weatherData.hourly) return null;
+
+    return JSON.stringify({
+      charts: this.getChartsConfig().map((chart) => [chart.id, chart.height || 1]),
+      theme: this.getTheme(),
+      width: this.config.width,
+      height: this.config.height,
+      header: this.getHeader(),
+      stale: !!this.errorMessage,
+      status: !!this.getStatusText(),
+      alerts: this.getVisibleAlerts().map((alert) => [alert.event, alert.severity, alert.headline])
+    });
+  },
+
+  hasChartDom: function () {
+    return this.getChartIds().every((id) => document.getElementById(this.identifier + "-" + id + "-chart"));
+  },
+
+  // Refresh the age/error overlay of a DOM being updated in place
+  updateStatus: function () {
+    const canvas = document.getElementById(this.identifier + "-" + this.getChartIds()[0] + "-chart");
+    const status = canvas && canvas.closest(".weather-graph-wrapper").querySelector(".data-status");
+    if (status) status.textContent = this.getStatusText();
+  },
+
+  notificationReceived: function (notification, payload, sender) {
+    // MagicMirror sends this (with a null sender) only to the module whose new DOM
+    // just went on the page - draw the charts into it
+    if (notification === "MODULE_DOM_UPDATED") {
+      if (!this.hidden) this.renderCharts();
+      return;
+    }
+
+    if (notification === "UPDATE_CONFIG") {
+      this.updateConfig(payload);
+      return;
     }
+
+    if (this.config.dataMode !== "passive" || !payload) return;
+
+    if (notification === "OPENWEATHER_FORECAST_WEATHER_UPDATE") {
+      // MMM-OpenWeatherForecast broadcasts the raw One Call response
+      if (Array.isArray(payload.hourly)) {
+        this.setWeatherData(this.mapOpenWeatherPayload(payload));
+      }
+    } else if (notification === "WEATHER_UPDATED") {
+      // Default MagicMirror weather module - only hourly forecasts are usable. Its values
+      // are in its own units setting, which defaults to the global config.units
+      if (Array.isArray(payload.hourlyArray) && payload.hourlyArray.length > 0) {
+        const sourceUnits = sender?.config?.units ?? (typeof config !== "undefined" ? config.units : null);
+        this.setWeatherData(this.mapWeatherObjects(payload.hourlyArray, sourceUnits));
+      }
+    }
+  },
+
+  // Change options at runtime, e.g. from a remote-control module:
+  // { module: "MMM-WeatherForecastGraph", config: { units: "metric" } } updates every instance,
+  // { identifier: "module_4_MMM-WeatherForecastGraph", config: { ... } } a single one
+  updateConfig: function (payload) {
+    if (!payload || !payload.config) return;
+    if (payload.identifier ? payload.identifier !== this.identifier : payload.module !== this.name) return;
+
+    const previous = this.config;
+    this.config = { ...this.config, ...payload.config };
+    // node_helper prefers location over coordinates, so setting coordinates alone drops it
+    if ("latitude" in payload.config && !("location" in payload.config)) {
+      this.config.location = null;
+    }
+    this.config.hoursToShow = Math.max(1, Math.min(168, this.config.hoursToShow));
+    this.config.hoursOfHistory = Math.max(0, Math.min(48, this.config.hoursOfHistory));
+    Log.info(this.name + ": Config updated (" + Object.keys(payload.config).join(", ") + ")");
+
+    // A forecast for another place or in other units can't stay up while the new one loads
+    const dataChanged = ["dataMode", "provider", "latitude", "longitude", "location", "units"]
+      .some((key) => previous[key] !== this.config[key]) ||
+      JSON.stringify(previous.locations) !== JSON.stringify(this.config.locations);
+    if (dataChanged) {
+      this.locationData = {};
+      this.activeLocationIndex = 0;
+      this.weatherData = null;
+      this.precipitationPeriods = [];
+      this.dataTimestamp = null;
+      this.errorMessage = null;
+      this.retryIn = null;
+    }
+
+    // Switching to passive mode - node_helper has nothing left to fetch for this instance
+    if (this.config.dataMode === "passive" && previous.dataMode !== "passive") {
+      this.sendSocketNotification("STOP", { instanceId: this.identifier });
+    }
+
+    this.requestData();
+    this.startRotation();
+    this.refresh();
   },
 
   socketNotificationReceived: function (notification, payload) {
-    if (payload.instanceId !== this.identifier) return;
+    // Late replies for a fetch made before switching to passive mode are ignored
+    if (payload.instanceId !== this.identifier || this.config.dataMode === "passive") return;
+    this.lastReplyAt = Date.now();
+
+    if (this.getLocations() && payload.locationIndex !== undefined) {
+      this.updateLocation(notification, payload);
+      return;
+    }
 
     if (notification === "WEATHER_GRAPH_DATA") {
-      // Clear loading timeout since we received data
-      if (this.loadingTimeoutId) {
-        clearTimeout(this.loadingTimeoutId);
-        this.loadingTimeoutId = null;
-      }
-      this.loadingTimedOut = false;
-      this.errorMessage = null;
-      this.weatherData = payload.data;
-      this.precipitationPeriods = payload.data.precipitationPeriods || [];
-      // Only update DOM if visible - if hidden, data will render on resume
-      if (!this.hidden) {
-        this.updateDom(this.config.updateFadeSpeed);
-      }
+      if (!payload.cached) this.publishForecast(payload.data, payload.timestamp, null);
+      this.setWeatherData(payload.data, payload.timestamp, payload.cached);
     } else if (notification === "WEATHER_GRAPH_ERROR") {
       // Clear loading timeout since we received a response
       if (this.loadingTimeoutId) {
@@ -151,67 +463,538 @@ Module.register("MMM-WeatherForecastGraph", {
         this.loadingTimeoutId = null;
       }
       this.errorMessage = payload.error;
-      // Only update DOM if visible
-      if (!this.hidden) {
-        this.updateDom(this.config.updateFadeSpeed);
-      }
+      this.retryIn = payload.retryIn || null;
+      this.refresh();
     }
   },
 
+  // Configured locations (fetch mode only), or null when the module shows a single place
+  getLocations: function () {
+    const locations = this.config.locations;
+    if (this.config.dataMode === "passive" || !Array.isArray(locations) || locations.length === 0) return null;
+    return locations;
+  },
+
+  hasLocation: function () {
+    return !!this.getLocations() || !!this.config.location || !!(this.config.latitude && this.config.longitude);
+  },
+
+  // Index into locations of the one whose data fills the charts: the current one in
+  // rotate mode, the first in overlay mode
+  getDisplayedLocationIndex: function () {
+    const locations = this.getLocations();
+    if (!locations || this.config.locationMode === "overlay") return 0;
+    return this.activeLocationIndex % locations.length;
+  },
+
+  getDisplayedLocation: function () {
+    const locations = this.getLocations();
+    return locations ? locations[this.getDisplayedLocationIndex()] : null;
+  },
+
+  // Record data or an error for one of several locations, redrawing if it's on screen.
+  // node_helper tags each reply with the entry's index in locations, since entries given
+  // as a location string have no coordinates until it geocodes them
+  updateLocation: function (notification, payload) {
+    const entry = this.locationData[payload.locationIndex] || {};
+
+    if (notification === "WEATHER_GRAPH_DATA") {
+      const location = this.getLocations()[payload.locationIndex];
+      this.notifyEvents(payload.data.events, location ? location.name || location.location || null : null, payload.locationIndex);
+      if (!payload.cached) this.publishForecast(payload.data, payload.timestamp, location);
+      entry.data = payload.data;
+      entry.timestamp = payload.timestamp;
+      entry.cached = !!payload.cached;
+      entry.errorMessage = null;
+      entry.retryIn = null;
+    } else if (notification === "WEATHER_GRAPH_ERROR") {
+      entry.errorMessage = payload.error;
+      entry.retryIn = payload.retryIn || null;
+    } else {
+      return;
+    }
+    this.locationData[payload.locationIndex] = entry;
+
+    if (this.loadingTimeoutId) {
+      clearTimeout(this.loadingTimeoutId);
+      this.loadingTimeoutId = null;
+    }
+
+    // Overlay lines come from every location; otherwise only the displayed one matters
+    if (this.config.locationMode === "overlay" || payload.locationIndex === this.getDisplayedLocationIndex()) {
+      this.showLocation();
+    }
+  },
+
+  // Load the displayed location's entry into the fields the charts and status overlay use
+  showLocation: function () {
+    const entry = this.locationData[this.getDisplayedLocationIndex()] || {};
+
+    this.weatherData = entry.data || null;
+    this.precipitationPeriods = entry.data ? entry.data.precipitationPeriods || [] : [];
+    this.dataTimestamp = entry.timestamp || null;
+    this.dataFromCache = !!entry.cached;
+    this.errorMessage = entry.errorMessage || null;
+    this.retryIn = entry.retryIn || null;
+    if (entry.data) {
+      this.loadingTimedOut = false;
+    }
+
+    this.refresh();
+  },
+
+  // Rotate mode: show the next location every rotateInterval (paused while hidden)
+  startRotation: function () {
+    clearInterval(this.rotateIntervalId);
+    this.rotateIntervalId = null;
+
+    const locations = this.getLocations();
+    if (!locations || locations.length < 2 || this.config.locationMode !== "rotate") return;
+
+    this.rotateIntervalId = setInterval(() => {
+      if (this.hidden) return;
+      this.activeLocationIndex = (this.activeLocationIndex + 1) % locations.length;
+      this.showLocation();
+    }, this.config.rotateInterval);
+  },
+
+  // Store new forecast data and redraw (shared by node_helper data and passive broadcasts)
+  setWeatherData: function (data, timestamp = Date.now(), cached = false) {
+    // Clear loading timeout since we received data
+    if (this.loadingTimeoutId) {
+      clearTimeout(this.loadingTimeoutId);
+      this.loadingTimeoutId = null;
+    }
+    this.loadingTimedOut = false;
+    this.errorMessage = null;
+    this.weatherData = data;
+    this.precipitationPeriods = data.precipitationPeriods || [];
+    this.dataTimestamp = timestamp;
+    this.dataFromCache = cached;
+    this.notifyEvents(data.events, null, null);
+    this.refresh();
+  },
+
+  // Share a freshly fetched forecast with other modules as WEATHER_GRAPH_FORECAST_UPDATE,
+  // in the shape node_helper serves over HTTP (plus this instance's identifier).
+  // location is the locations entry it belongs to, null for a single place.
+  publishForecast: function (data, timestamp, location) {
+    const place = location || this.config;
+    const startDt = Math.floor(WeatherForecastGraphProcessing.startOfHour(new Date(), data.timeZone).getTime() / 1000);
+    const forecast = WeatherForecastGraphProcessing.sliceForecast(
+      data.hourly, data.precipitationPeriods || [], startDt, this.config.hoursToShow
+    );
+
+    this.sendNotification("WEATHER_GRAPH_FORECAST_UPDATE", {
+      instance: this.identifier,
+      location: location ? location.name || null : null,
+      placeName: data.placeName || null,
+      latitude: place.latitude ?? null,
+      longitude: place.longitude ?? null,
+      units: this.config.units,
+      timeZone: data.timeZone || null,
+      updated: timestamp,
+      hourly: forecast.hourly,
+      precipitationPeriods: forecast.precipitationPeriods,
+      events: data.events || [],
+      alerts: data.alerts || []
+    });
+  },
+
+  // Announce threshold events that haven't been announced yet, so other modules can react:
+  // WEATHER_GRAPH_EVENT { label, field, op, value, start, end, peak, units, location }.
+  // An event continuing one already announced (same threshold and location, overlapping
+  // hours) is not repeated as later fetches move its start up to the current hour.
+  notifyEvents: function (events, locationName, locationIndex) {
+    const now = Date.now() / 1000;
+    this.notifiedEvents = this.notifiedEvents.filter((e) => e.end > now);
+
+    (events || []).forEach((event) => {
+      if (event.end <= now) return;
+      const known = this.notifiedEvents.find((e) => e.threshold === event.threshold &&
+        e.locationIndex === locationIndex && event.start <= e.end && event.end >= e.start);
+      if (known) {
+        known.end = Math.max(known.end, event.end);
+        return;
+      }
+      this.notifiedEvents.push({ threshold: event.threshold, locationIndex: locationIndex, start: event.start, end: event.end });
+
+      this.sendNotification("WEATHER_GRAPH_EVENT", {
+        label: event.label,
+        field: event.field,
+        op: event.op,
+        value: event.value,
+        start: event.start,
+        end: event.end,
+        peak: event.peak,
+        units: this.config.units,
+        location: locationName
+      });
+    });
+  },
+
+  // Map an OpenWeather One Call payload (already in the source module's units) to hourly data
+  // Precipitation volumes are always reported in mm
+  mapOpenWeatherPayload: function (payload) {
+    const data = this.buildPassiveData(payload.hourly.map((h) => ({
+      dt: h.dt,
+      temp: h.temp,
+      feels_like: h.feels_like,
+      wind_speed: h.wind_speed,
+      wind_gust: h.wind_gust,
+      wind_deg: h.wind_deg,
+      pop: h.pop,
+      dew_point: h.dew_point,
+      humidity: h.humidity,
+      clouds: h.clouds,
+      rain_mm: h.rain?.["1h"] || 0,
+      snow_mm: h.snow?.["1h"] || 0
+    })));
+    // Lets theme "auto" follow the sun at the broadcast location
+    data.latitude = payload.lat;
+    data.longitude = payload.lon;
+    return data;
+  },
+
+  // Map WeatherObjects from the default weather module to hourly data. They are metric
+  // (°C, m/s, mm) unless that module has units: "imperial", in which case temperatures,
+  // wind speed and precipitationAmount arrive already converted to °F, mph and inches
+  mapWeatherObjects: function (hourlyArray, sourceUnits) {
+    const imperial = this.config.units === "imperial";
+    const sourceImperial = sourceUnits === "imperial";
+    const convertTemp = (t) => {
+      if (t === null || t === undefined) return null;
+      if (sourceImperial) return Math.round(imperial ? t : (t - 32) * 5 / 9);
+      return Math.round(imperial ? (t * 9 / 5) + 32 : t);
+    };
+    // Metric output uses km/h to match the fetch providers
+    const convertSpeed = (speed) => {
+      if (speed === null || speed === undefined) return null;
+      if (sourceImperial) return Math.round(imperial ? speed : speed * 1.609344);
+      return Math.round(imperial ? speed * 2.23694 : speed * 3.6);
+    };
+    // rain and snow are never converted by that module, only precipitationAmount
+    const amountMm = (amount) => {
+      const value = Number.parseFloat(amount);
+      if (!Number.isFinite(value)) return 0;
+      return sourceImperial ? value * 25.4 : value;
+    };
+
+    return this.buildPassiveData(hourlyArray.map((w) => {
+      const feelsLike = w.feelsLikeTemp ?? (typeof w.feelsLike === "function" ? w.feelsLike() : null);
+      return {
+        // date is a moment instance; valueOf() gives epoch milliseconds
+        dt: Math.floor(new Date(w.date.valueOf()).getTime() / 1000),
+        temp: convertTemp(w.temperature),
+        feels_like: convertTemp(feelsLike),
+        wind_speed: convertSpeed(w.windSpeed),
+        wind_gust: null,
+        wind_deg: w.windFromDirection ?? null,
+        pop: w.precipitationProbability !== null && w.precipitationProbability !== undefined
+          ? w.precipitationProbability / 100
+          : null,
+        dew_point: null,
+        humidity: w.humidity ?? null,
+        clouds: null,
+        rain_mm: w.rain ?? amountMm(w.precipitationAmount),
+        snow_mm: w.snow || 0
+      };
+    }));
+  },
+
+  // Build { hourly, precipitationPeriods, events } from passive samples, starting at the current hour
+  // Every later sample is kept, so getDisplayData can roll the window forward between broadcasts
+  // Each hour with rain or snow becomes a 1-hour precipitation period (snow preferred
+  // over its liquid equivalent - same rule node_helper applies to fetched data)
+  buildPassiveData: function (samples) {
+    const startHour = WeatherForecastGraphProcessing.startOfHour(new Date(), this.getTimeZone());
+    const startDt = Math.floor(startHour.getTime() / 1000);
+
+    const upcoming = samples
+      .filter((s) => s.dt >= startDt)
+      .sort((a, b) => a.dt - b.dt);
+
+    const precipitationPeriods = [];
+
+    upcoming.forEach((s, idx) => {
+      if (s.snow_mm > 0) {
+        precipitationPeriods.push(this.createPrecipitationPeriod(idx, idx + 1, s.snow_mm, "snow"));
+      } else if (s.rain_mm > 0) {
+        precipitationPeriods.push(this.createPrecipitationPeriod(idx, idx + 1, s.rain_mm, "rain"));
+      }
+    });
+
+    const data = {
+      hourly: upcoming.map((s) => ({
+        dt: s.dt,
+        temp: s.temp,
+        feels_like: s.feels_like,
+        wind_speed: s.wind_speed,
+        wind_gust: s.wind_gust,
+        wind_deg: s.wind_deg ?? null,
+        pop: s.pop ?? null,
+        dew_point: s.dew_point ?? null,
+        humidity: s.humidity ?? null,
+        clouds: s.clouds ?? null
+      })),
+      precipitationPeriods: precipitationPeriods
+    };
+    data.events = WeatherForecastGraphProcessing.evaluateThresholds(
+      data.hourly.slice(0, this.config.hoursToShow),
+      this.config.thresholds,
+      this.config.timezone
+    );
+    return data;
+  },
+
+  // Precipitation period in the same shape node_helper's extractPrecipitationPeriods produces
+  createPrecipitationPeriod: function (startIndex, endIndex, amountMm, type) {
+    const units = this.config.units;
+    return {
+      startIndex: startIndex,
+      endIndex: endIndex,
+      amount_mm: amountMm,
+      amount: units === "imperial" ? Math.round(amountMm * 0.0393701 * 100) / 100 : amountMm,
+      // Rain and ice: 0.01" or 0.25mm, Snow: 0.1" or 2.5mm
+      displayThreshold: type === "snow"
+        ? (units === "imperial" ? 0.1 : 2.5)
+        : (units === "imperial" ? 0.01 : 0.25),
+      units: units,
+      type: type
+    };
+  },
+
+  // Aggregate hourly data into calendar days in the forecast time zone: temperature ranges,
+  // max wind/gust/PoP and total precipitation. Period amounts are spread evenly over the hours they cover.
+  aggregateDaily: function (hours, periods) {
+    const days = [];
+    const dayIndexByHour = [];
+    const timeZone = this.getTimeZone();
+
+    hours.forEach((h) => {
+      const dayStart = WeatherForecastGraphProcessing.startOfDay(new Date(h.dt * 1000), timeZone);
+      const midnight = Math.floor(dayStart.getTime() / 1000);
+      let day = days[days.length - 1];
+      if (!day || day.dt !== midnight) {
+        day = { dt: midnight, hours: [], rain_mm: 0, snow_mm: 0, ice_mm: 0 };
+        days.push(day);
+      }
+      day.hours.push(h);
+      dayIndexByHour.push(days.length - 1);
+    });
+
+    // Periods reaching past the shown hours only count the part that falls within them
+    WeatherForecastGraphProcessing.hourlyPrecipitation(periods, hours.length).forEach((amounts, idx) => {
+      const day = days[dayIndexByHour[idx]];
+      day.rain_mm += amounts.rain;
+      day.snow_mm += amounts.snow;
+      day.ice_mm += amounts.ice;
+    });
+
+    const pick = (dayHours, key) => dayHours.map((h) => h[key]).filter((v) => v !== null && v !== undefined);
+    const min = (values) => values.length ? Math.min(...values) : null;
+    const max = (values) => values.length ? Math.max(...values) : null;
+    const mean = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+
+    const dailyPeriods = [];
+    const daily = days.map((day, idx) => {
+      // Several types can fall on one day - stack them in separate lanes
+      let lane = 0;
+      ["snow", "ice", "rain"].forEach((type) => {
+        const amountMm = Math.round(day[type + "_mm"] * 10) / 10;
+        if (amountMm <= 0) return;
+        dailyPeriods.push({ ...this.createPrecipitationPeriod(idx, idx + 1, amountMm, type), lane: lane++ });
+      });
+
+      return {
+        dt: day.dt,
+        temp_min: min(pick(day.hours, "temp")),
+        temp_max: max(pick(day.hours, "temp")),
+        feels_like_min: min(pick(day.hours, "feels_like")),
+        feels_like_max: max(pick(day.hours, "feels_like")),
+        wind_speed: max(pick(day.hours, "wind_speed")),
+        wind_gust: max(pick(day.hours, "wind_gust")),
+        pop: max(pick(day.hours, "pop")),
+        dew_point: max(pick(day.hours, "dew_point")),
+        humidity: mean(pick(day.hours, "humidity")),
+        clouds: mean(pick(day.hours, "clouds"))
+      };
+    });
+
+    return { daily: daily, precipitationPeriods: dailyPeriods };
+  },
+
+  // Configured header plus the forecast's place name (overlay mode names each line instead)
+  getHeader: function () {
+    const overlay = this.getLocations() && this.config.locationMode === "overlay";
+    const placeName = this.config.showPlaceName && !overlay && this.weatherData && this.weatherData.placeName;
+    if (!placeName) return this.data.header;
+    return this.data.header ? this.data.header + " · " + placeName : placeName;
+  },
+
   getDom: function () {
     const wrapper = document.createElement("div");
     wrapper.className = "weather-graph-wrapper";
     wrapper.style.width = this.config.width + "px";
+    this.applyTheme(wrapper);
+    this.renderedLayout = null;
 
-    // Show config error if lat/lon not set
-    if (!this.config.latitude || !this.config.longitude) {
-      wrapper.innerHTML = "<span class='dimmed'>Please configure latitude and longitude in config.js</span>";
+    // Show config error if lat/lon not set (not needed when listening for broadcasts)
+    if (this.config.dataMode !== "passive" && !this.hasLocation()) {
+      wrapper.appendChild(this.createMessage(this.translate("CONFIGURE_LOCATION")));
       return wrapper;
     }
 
-    // Show API error if fetch failed
-    if (this.errorMessage) {
-      wrapper.innerHTML = "<span class='dimmed'>Weather temporarily unavailable: " + this.errorMessage + "</span>";
+    // Show API error if fetch failed and there is no recent forecast to fall back on
+    if (this.errorMessage && !this.hasUsableData()) {
+      wrapper.appendChild(this.createMessage(this.translate("UNAVAILABLE", { error: this.errorMessage })));
       return wrapper;
     }
 
     if (!this.weatherData || !this.weatherData.hourly) {
-      if (this.loadingTimedOut) {
-        wrapper.innerHTML = "<span class='dimmed'>Weather service unavailable - retrying...</span>";
-      } else {
-        wrapper.innerHTML = "<span class='dimmed'>Fetching forecast...</span>";
+      let message = "FETCHING";
+      if (this.config.dataMode === "passive") {
+        message = "WAITING";
+      } else if (this.loadingTimedOut) {
+        message = "SERVICE_RETRYING";
       }
+      wrapper.appendChild(this.createMessage(this.translate(message)));
       return wrapper;
     }
 
-    const chartHeight = this.calculateChartHeight();
+    // Last good forecast kept on screen after a failed fetch - dim it and say why
+    if (this.errorMessage) {
+      wrapper.classList.add("stale");
+    }
 
-    if (this.config.showTemperature) {
-      const container = this.createChartContainer("temp", chartHeight);
-      wrapper.appendChild(container);
+    const alerts = this.getVisibleAlerts();
+    if (alerts.length > 0) {
+      wrapper.appendChild(this.createAlertBanner(alerts));
     }
 
-    if (this.config.showWind) {
-      const container = this.createChartContainer("wind", chartHeight);
-      wrapper.appendChild(container);
+    const statusText = this.getStatusText();
+    if (statusText) {
+      const status = document.createElement("div");
+      status.className = "data-status";
+      status.textContent = statusText;
+      wrapper.appendChild(status);
     }
 
-    if (this.config.showPrecipitation) {
-      const container = this.createChartContainer("precip", chartHeight);
-      wrapper.appendChild(container);
+    const charts = this.getChartsConfig();
+    const heights = this.calculateChartHeights(charts);
+    charts.forEach((chart, idx) => {
+      wrapper.appendChild(this.createChartContainer(chart.id, heights[idx]));
+    });
+
+    // Charts are drawn by refresh once this wrapper is on the page
+    this.renderedLayout = this.getLayoutKey();
+    return wrapper;
+  },
+
+  // Whether there is data recent enough to draw instead of an error message
+  hasUsableData: function () {
+    if (!this.weatherData || !this.weatherData.hourly) return false;
+    if (this.dataTimestamp && Date.now() - this.dataTimestamp > this.config.maxStaleAge) return false;
+    return this.getDisplayData().hours.some((h) => !h.observed);
+  },
+
+  // Overlay text for data that isn't fresh: age plus the error, if any
+  getStatusText: function () {
+    if (!this.dataTimestamp) return null;
+    const age = this.formatAge(Date.now() - this.dataTimestamp);
+
+    if (this.errorMessage) {
+      let text = this.translate("UPDATED_AGO", { age: age }) + " · " + this.errorMessage;
+      if (this.retryIn) {
+        text += " · " + this.translate("RETRYING_IN", { time: this.formatAge(this.retryIn) });
+      }
+      return text;
     }
+    // Cached data from a previous run is shown until the fresh fetch arrives
+    if (this.dataFromCache) {
+      return this.translate("CACHED_FORECAST", { age: age });
+    }
+    return null;
+  },
+
+  // Visible slice of the forecast, starting at the current hour
+  // Older data (from the cache or after failed fetches) is shifted so the forecast always
+  // starts now, after hoursOfHistory observed hours when node_helper sent observations
+  getDisplayData: function () {
+    const startHour = WeatherForecastGraphProcessing.startOfHour(new Date(), this.getTimeZone());
+    const startDt = Math.floor(startHour.getTime() / 1000);
 
-    // Render charts after DOM fade animation completes
-    // Use updateFadeSpeed + buffer to ensure DOM is fully ready
-    if (!this.renderPending) {
-      this.renderPending = true;
-      setTimeout(() => {
-        this.renderPending = false;
-        this.renderCharts();
-      }, this.config.updateFadeSpeed + 100);
+    const forecast = WeatherForecastGraphProcessing.sliceForecast(
+      this.weatherData.hourly, this.precipitationPeriods, startDt, this.config.hoursToShow
+    );
+    const past = this.getHistoryHours(startDt);
+    const hours = past.concat(forecast.hourly);
+    // Period indices count from the first forecast hour, which follows the past hours
+    const periods = past.length === 0 ? forecast.precipitationPeriods : forecast.precipitationPeriods.map((p) => ({
+      ...p,
+      startIndex: p.startIndex + past.length,
+      endIndex: p.endIndex + past.length,
+      startHour: (p.startHour ?? p.startIndex) + past.length,
+      endHour: (p.endHour ?? p.endIndex) + past.length
+    }));
+
+    return { hours: hours, periods: periods, startDt: startDt };
+  },
+
+  // Observed hours before startDt, one per hour even where the station (or an older
+  // cached forecast) has nothing for it. Empty in daily resolution or without observations.
+  getHistoryHours: function (startDt) {
+    const history = this.weatherData.history;
+    if (!history || this.config.hoursOfHistory <= 0 || this.config.resolution === "daily") return [];
+
+    const byTime = {};
+    history.forEach((h) => {
+      byTime[h.dt] = h;
+    });
+    const past = [];
+    for (let i = this.config.hoursOfHistory; i > 0; i--) {
+      const dt = startDt - i * 3600;
+      past.push(byTime[dt] || { dt: dt, observed: true });
     }
+    return past;
+  },
 
-    return wrapper;
+  // Alerts that pass the severity filter and haven't ended yet
+  getVisibleAlerts: function () {
+    if (!this.config.showAlerts || !this.weatherData || !this.weatherData.alerts) return [];
+    const now = Date.now() / 1000;
+    return this.weatherData.alerts.filter((alert) =>
+      this.config.alertSeverities.includes(alert.severity) && (!alert.ends || alert.ends > now)
+    );
+  },
+
+  getAlertColor: function (alert) {
+    return this.config.alertColors[alert.event] ||
+      this.alertSeverityColors[alert.severity] ||
+      this.alertSeverityColors.Unknown;
+  },
+
+  // Loading or error message shown instead of the charts
+  createMessage: function (text) {
+    const message = document.createElement("span");
+    message.className = "dimmed";
+    message.textContent = text;
+    return message;
+  },
+
+  // Compact banner listing active alert names and severities
+  createAlertBanner: function (alerts) {
+    const banner = document.createElement("div");
+    banner.className = "alert-banner";
+    alerts.forEach((alert) => {
+      const item = document.createElement("span");
+      item.className = "alert-item";
+      item.style.borderColor = this.getAlertColor(alert);
+      item.textContent = alert.event + " (" + alert.severity + ")";
+      item.title = alert.headline || "";
+      banner.appendChild(item);
+    });
+    return banner;
   },
 
   createChartContainer: function (type, height) {
@@ -226,12 +1009,11 @@ Module.register("MMM-WeatherForecastGraph", {
     return container;
   },
 
-  calculateChartHeight: function () {
-    let visibleCharts = 0;
-    if (this.config.showTemperature) visibleCharts++;
-    if (this.config.showWind) visibleCharts++;
-    if (this.config.showPrecipitation) visibleCharts++;
-    return visibleCharts > 0 ? Math.floor(this.config.height / visibleCharts) : this.config.height;
+  // Split the module height between the charts by their height weights (default 1)
+  calculateChartHeights: function (charts) {
+    const weights = charts.map((chart) => (chart.height > 0 ? chart.height : 1));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map((weight) => Math.floor(this.config.height * weight / total));
   },
 
   destroyAllCharts: function () {
@@ -243,7 +1025,43 @@ Module.register("MMM-WeatherForecastGraph", {
     });
   },
 
+  destroyDetachedCharts: function () {
+    Object.keys(this.charts).forEach((key) => {
+      if (this.charts[key] && !this.charts[key].canvas.isConnected) {
+        this.charts[key].destroy();
+        this.charts[key] = null;
+      }
+    });
+  },
+
+  // Create a chart, or update the existing one on the same canvas in place: new labels,
+  // dataset values and options (annotations included), then one redraw. A chart whose type,
+  // datasets or inline plugins differ (e.g. showFeelsLike toggled, hourly to daily) is rebuilt.
+  drawChart: function (key, canvas, config) {
+    const composition = [
+      config.type,
+      config.data.datasets.map((dataset) => dataset.label).join(","),
+      (config.plugins || []).map((plugin) => plugin.id).join(",")
+    ].join("|");
+
+    const chart = this.charts[key];
+    if (chart && chart.canvas === canvas && chart.composition === composition) {
+      chart.data.labels = config.data.labels;
+      config.data.datasets.forEach((dataset, idx) => {
+        Object.assign(chart.data.datasets[idx], dataset);
+      });
+      chart.options = config.options;
+      chart.update();
+      return;
+    }
+
+    if (chart) chart.destroy();
+    this.charts[key] = new Chart(canvas, config);
+    this.charts[key].composition = composition;
+  },
+
   // Plugin to force fixed legend width for chart alignment
+  // Attached per chart so other modules' charts keep their own legend layout
   legendFixedWidthPlugin: {
     id: "legendFixedWidth",
     beforeInit: function (chart) {
@@ -251,12 +1069,82 @@ Module.register("MMM-WeatherForecastGraph", {
       const originalFit = chart.legend.fit;
       chart.legend.fit = function () {
         originalFit.call(this);
-        this.width = 140; // Fixed width for all legends
+        // Same width for all legends - the theme's, from plugins.legendFixedWidth
+        this.width = chart.options.plugins.legendFixedWidth.width;
       };
     }
   },
 
+  // Plugin drawing rotated wind direction arrows in a strip under the wind chart's x-axis
+  // Attached per chart (not registered globally) - options come from plugins.windArrows
+  windArrowsPlugin: {
+    id: "windArrows",
+    afterDraw: function (chart, args, options) {
+      const directions = options.directions || [];
+      const xScale = chart.scales.x;
+      const ctx = chart.ctx;
+      const size = options.size;
+      const y = chart.height - size - 2;
+
+      ctx.save();
+      ctx.fillStyle = options.color;
+      directions.forEach((deg, idx) => {
+        if (deg === null || deg === undefined || idx % options.every !== 0) return;
+        // Degrees are compass bearings the wind blows from (0 = north, clockwise)
+        const heading = options.convention === "from" ? deg : deg + 180;
+        ctx.save();
+        ctx.translate(xScale.getPixelForValue(idx), y);
+        ctx.rotate(heading * Math.PI / 180);
+        // Arrow pointing north before rotation
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size * 0.6, size);
+        ctx.lineTo(0, size * 0.4);
+        ctx.lineTo(-size * 0.6, size);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+      });
+      ctx.restore();
+    }
+  },
+
+  // Plugin drawing condition glyphs in a row between the title and the chart area
+  // Attached per chart - options come from plugins.conditionIcons
+  conditionIconsPlugin: {
+    id: "conditionIcons",
+    afterDraw: function (chart, args, options) {
+      if (!chart.titleBlock) return;
+      const xScale = chart.scales.x;
+      const ctx = chart.ctx;
+      const y = chart.titleBlock.bottom - options.size / 2 - 4;
+      let lastX = -Infinity;
+      let lastCondition = null;
+
+      ctx.save();
+      ctx.font = options.size + "px sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      options.conditions.forEach((condition, idx) => {
+        const previous = lastCondition;
+        lastCondition = condition;
+        if (!condition || !options.icons[condition]) return;
+        // Mark where a condition starts, repeating every 4 hours through long stretches
+        if (condition === previous && idx % 4 !== 0) return;
+        const x = xScale.getPixelForValue(idx);
+        // Keep glyphs from overlapping on narrow charts
+        if (x - lastX < options.size * 1.2) return;
+        lastX = x;
+        ctx.fillStyle = options.icons[condition].color;
+        ctx.fillText(options.icons[condition].icon, x, y);
+      });
+      ctx.restore();
+    }
+  },
+
   renderCharts: function () {
+    // Charts whose canvas went away with a DOM rebuild can't be reused
+    this.destroyDetachedCharts();
     if (!this.weatherData || !this.weatherData.hourly) return;
 
     // Ensure plugins are registered (may not auto-register in MagicMirror context)
@@ -266,283 +1154,565 @@ Module.register("MMM-WeatherForecastGraph", {
     if (window.ChartDataLabels && !Chart.registry.plugins.get("datalabels")) {
       Chart.register(window.ChartDataLabels);
     }
-    if (!Chart.registry.plugins.get("legendFixedWidth")) {
-      Chart.register(this.legendFixedWidthPlugin);
+
+    const { hours, periods, startDt } = this.getDisplayData();
+    this.chartStartDt = startDt;
+
+    let columns = hours;
+    let columnPeriods = periods;
+    if (this.config.resolution === "daily") {
+      const daily = this.aggregateDaily(hours, periods);
+      columns = daily.daily;
+      columnPeriods = daily.precipitationPeriods;
     }
+    this.chartColumns = columns;
+    // Days are keyed by local midnight, so formatHour yields the day name
+    const labels = columns.map((c) => this.formatHour(c.dt));
 
-    // Destroy existing charts first to prevent memory leaks
-    this.destroyAllCharts();
+    this.getChartsConfig().forEach((chart) => {
+      this.renderChart(chart, columns, labels, columnPeriods);
+    });
+  },
 
-    const hours = this.weatherData.hourly.slice(0, this.config.hoursToShow);
-    const labels = hours.map((h) => this.formatHour(h.dt));
+  // The charts to draw, top to bottom: the charts option, or the classic layout built from
+  // the show* options (temperature, wind, precipitation, humidity/sky cover)
+  getChartsConfig: function () {
+    if (Array.isArray(this.config.charts) && this.config.charts.length > 0) {
+      return this.config.charts.map((chart, idx) => ({ ...chart, id: chart.id || "chart" + idx }));
+    }
 
+    const charts = [];
     if (this.config.showTemperature) {
-      this.renderTemperatureChart(hours, labels);
+      charts.push({
+        id: "temp",
+        title: this.translate("TEMPERATURE"),
+        series: [{ field: "temp", labels: true }].concat(this.config.showFeelsLike ? ["feels_like"] : [])
+      });
     }
     if (this.config.showWind) {
-      this.renderWindChart(hours, labels);
+      charts.push({
+        id: "wind",
+        title: this.translate("WIND"),
+        // Hourly labels follow the speed, daily ones the max gust
+        series: [{ field: "wind_speed", labels: "hourly" }, { field: "wind_gust", labels: "daily" }],
+        windArrows: this.config.showWindDirection
+      });
     }
     if (this.config.showPrecipitation) {
-      this.renderPrecipitationChart(hours, labels);
+      charts.push({
+        id: "precip",
+        title: this.translate("PRECIPITATION"),
+        series: ["pop", "amounts"],
+        conditionIcons: this.config.showConditionIcons,
+        axes: { y: { min: 0, max: 100 } }
+      });
+    }
+    if (this.config.showHumidity || this.config.showSkyCover) {
+      let title = this.translate("HUMIDITY");
+      if (this.config.showSkyCover) {
+        title = this.translate(this.config.showHumidity ? "HUMIDITY_SKY_COVER" : "SKY_COVER");
+      }
+      // Percentages (RH, cloud cover) use the visible 0-100 axis; dew point gets its own
+      // hidden axis so the y-axis width stays aligned with the other charts
+      const series = this.config.showHumidity
+        ? [{ field: "dew_point", axis: "yDewPoint", labels: true }, "humidity"]
+        : [];
+      if (this.config.showSkyCover) series.push("clouds");
+      charts.push({
+        id: "humidity",
+        title: title,
+        legend: true,
+        series: series,
+        axes: { y: { min: 0, max: 100 }, yDewPoint: { display: false, grace: "15%" } }
+      });
     }
+    return charts;
   },
 
-  renderTemperatureChart: function (hours, labels) {
-    const canvas = document.getElementById(this.identifier + "-temp-chart");
-    if (!canvas) return;
+  // A series entry from the charts option ("temp" or { field: "temp", ... }) over its field's defaults
+  getSeries: function (entry) {
+    const options = typeof entry === "string" ? { field: entry } : entry;
+    const field = this.seriesAliases[options.field] || options.field;
+    const defaults = this.seriesDefaults[field] || {};
+    const labelKey = this.config.resolution === "daily" && defaults.dailyLabelKey || defaults.labelKey;
+    return {
+      ...defaults,
+      label: labelKey ? this.translate(labelKey) : field,
+      ...options,
+      field: field,
+      color: options.color || this.config[defaults.colorOption] || "#CCCCCC"
+    };
+  },
 
-    const datasets = [
-      {
-        label: "Temperature",
-        data: hours.map((h) => h.temp),
-        borderColor: this.config.temperatureColor,
-        backgroundColor: "transparent",
-        tension: 0.3,
-        fill: false,
-        pointRadius: 0,
-        borderWidth: 2
-      }
-    ];
+  // Values to plot for a series, one per column. Daily "range" series plot [low, high].
+  getSeriesValues: function (series, columns, kind) {
+    if (kind === "range") {
+      return columns.map((c) => {
+        const low = c[series.field + "_min"];
+        const high = c[series.field + "_max"];
+        return low !== null && low !== undefined && high !== null && high !== undefined ? [low, high] : null;
+      });
+    }
+    return columns.map((c) => {
+      const value = c[series.field];
+      if (value === null || value === undefined || (series.hideZero && value === 0)) return null;
+      return series.scale ? value * series.scale : value;
+    });
+  },
 
-    if (this.config.showFeelsLike) {
-      datasets.push({
-        label: "Feels Like",
-        data: hours.map((h) => h.feels_like),
-        borderColor: this.config.feelsLikeColor,
-        backgroundColor: "transparent",
+  // Chart.js dataset for a series. kind is "line", "bar", or in the daily view "range"
+  // (low-high bars) or "max" (daily maximum bars).
+  createDataset: function (series, data, kind, segment) {
+    const color = series.color;
+    const dataset = { label: series.label, data: data, yAxisID: series.axis || "y" };
+
+    if (kind === "range" || kind === "max") {
+      Object.assign(dataset, {
+        type: "bar",
+        // Dashed series get lighter, outlined bars next to the solid ones
+        backgroundColor: color + (series.dash ? "66" : "99"), // 66/99 hex = 40%/60% opacity
+        borderColor: color,
+        borderWidth: kind === "range" || series.dash ? 1 : 0,
+        barPercentage: kind === "range" ? 0.6 : 0.8
+      });
+      if (kind === "range") dataset.borderSkipped = false;
+    } else if (kind === "bar") {
+      Object.assign(dataset, {
+        type: "bar",
+        backgroundColor: color + "99",
+        borderWidth: 0,
+        barPercentage: 0.8,
+        categoryPercentage: 0.9
+      });
+    } else {
+      Object.assign(dataset, {
+        type: "line",
+        borderColor: color,
+        backgroundColor: series.fill ? color + "33" : "transparent", // 33 hex = 20% opacity
         tension: 0.3,
-        fill: false,
+        fill: series.fill ? "origin" : false,
         pointRadius: 0,
-        borderWidth: 2,
-        borderDash: [5, 5]
+        borderWidth: series.fill ? 1 : 2,
+        segment: segment
       });
+      if (series.dash) dataset.borderDash = [5, 5];
+      // Shaded areas go behind the lines
+      if (series.fill) dataset.order = 1;
     }
 
-    const tempOptions = this.getChartOptions("Temperature");
-    tempOptions.plugins.datalabels = {
-      display: function(context) {
-        // Show label every 4 hours, only for Temperature (not Feels Like)
-        return context.dataIndex % 4 === 0 && context.datasetIndex === 0;
-      },
-      color: '#ccc',
-      textStrokeColor: 'rgba(0,0,0,0.8)',
+    const isDaily = this.config.resolution === "daily";
+    const labels = series.labels === true || series.labels === (isDaily ? "daily" : "hourly");
+    dataset.datalabels = labels ? this.getDatasetLabels(series, kind) : { display: false };
+    return dataset;
+  },
+
+  // Value labels for a dataset: every 4 hours (aligned with the x-axis ticks), every day in
+  // the daily view, and high/low on range bars
+  getDatasetLabels: function (series, kind) {
+    const unit = series.unit || "";
+    const theme = this.getTheme();
+    const style = {
+      color: theme.label,
+      textStrokeColor: theme.labelStroke,
       textStrokeWidth: 3,
-      anchor: 'end',
-      align: 'top',
       offset: 2,
-      font: { size: 13 },
-      formatter: function(value) {
-        return value !== null ? Math.round(value) + '°' : '';
-      }
-    };
-    // Add midnight vertical line annotations
-    tempOptions.plugins.annotation = {
-      annotations: this.getMidnightAnnotations(hours)
+      font: { size: theme.labelFontSize }
     };
 
-    this.charts.temp = new Chart(canvas, {
-      type: "line",
-      data: {
-        labels: labels,
-        datasets: datasets
-      },
-      options: tempOptions
-    });
-  },
-
-  renderWindChart: function (hours, labels) {
-    const canvas = document.getElementById(this.identifier + "-wind-chart");
-    if (!canvas) return;
+    if (kind === "range") {
+      return {
+        display: function (context) {
+          return context.dataset.data[context.dataIndex] !== null;
+        },
+        labels: {
+          high: {
+            ...style,
+            anchor: 'end',
+            align: 'top',
+            formatter: function (value) {
+              return Math.round(value[1]) + unit;
+            }
+          },
+          low: {
+            ...style,
+            anchor: 'start',
+            align: 'bottom',
+            formatter: function (value) {
+              return Math.round(value[0]) + unit;
+            }
+          }
+        }
+      };
+    }
 
-    const windOptions = this.getChartOptions("Wind");
-    windOptions.plugins.datalabels = {
-      display: function(context) {
-        // Show label every 4 hours to align with x-axis ticks
-        // Only show for first dataset (Wind Speed) to avoid clutter
-        return context.dataIndex % 4 === 0 && context.datasetIndex === 0;
+    return {
+      ...style,
+      display: function (context) {
+        return kind === "max" || context.dataIndex % 4 === 0;
       },
-      color: '#ccc',
-      textStrokeColor: 'rgba(0,0,0,0.8)',
-      textStrokeWidth: 3,
       anchor: 'end',
       align: 'top',
-      offset: 2,
-      font: { size: 13 },
-      formatter: function(value) {
-        return value !== null ? Math.round(value) : '';
+      formatter: function (value) {
+        return value !== null ? Math.round(value) + unit : '';
       }
     };
-    // Add midnight vertical line annotations
-    windOptions.plugins.annotation = {
-      annotations: this.getMidnightAnnotations(hours)
+  },
+
+  // Draw one entry of getChartsConfig into its canvas
+  renderChart: function (chart, columns, labels, periods) {
+    const canvas = document.getElementById(this.identifier + "-" + chart.id + "-chart");
+    if (!canvas) return;
+
+    const isDaily = this.config.resolution === "daily";
+    const series = (chart.series || []).map((entry) => this.getSeries(entry));
+    const lines = series.filter((s) => s.field !== "amounts");
+    const showAmounts = series.some((s) => s.field === "amounts");
+    const observedSegment = this.getObservedSegment(columns);
+    // Overlay mode draws each location's temperature; the daily view shows the displayed one
+    const overlay = !isDaily && lines.some((s) => s.field === "temp") ? this.getOverlaySeries(columns) : null;
+
+    const datasets = [];
+    lines.forEach((s) => {
+      const kind = isDaily && s.daily ? s.daily : s.type || "line";
+      if (overlay && s.field === "temp") {
+        overlay.forEach((location, idx) => {
+          const locationSeries = { ...s, label: location.name, color: location.color, labels: idx === 0 && s.labels };
+          datasets.push(this.createDataset(locationSeries, location.data, kind, observedSegment));
+        });
+        return;
+      }
+      // Feels-like lines would double the overlay's clutter - it's left out there
+      if (overlay && s.field === "feels_like") return;
+      datasets.push(this.createDataset(s, this.getSeriesValues(s, columns, kind), kind, observedSegment));
+    });
+
+    const title = chart.title || lines.map((s) => s.label).join(" & ");
+    const options = this.getChartOptions(title);
+    if (overlay) options.plugins.title.text = title;
+    options.plugins.legend.display = chart.legend ?? (!!overlay || showAmounts || datasets.length > 1);
+    // Labels are switched on per dataset (see createDataset)
+    options.plugins.datalabels = { display: false };
+    if (isDaily) {
+      // One column per day, plain day-name ticks
+      options.scales.x.ticks.callback = function (value) {
+        return this.getLabelForValue(value);
+      };
+      // Room for the low labels under the lowest range bar
+      if (datasets.some((d) => d.datalabels.labels)) options.scales.y.grace = "15%";
+    }
+
+    // Amount boxes sit in the lower part of the chance-of-precipitation axis, or on a hidden
+    // 0-100 axis of their own when the chart has no chance series
+    const pop = lines.find((s) => s.field === "pop");
+    const amountsAxis = pop ? pop.axis || "y" : "yAmounts";
+    const axes = chart.axes || {};
+    const baseAxis = options.scales.y;
+    const axisIds = datasets.map((d) => d.yAxisID).concat(showAmounts ? [amountsAxis] : [], Object.keys(axes));
+    axisIds.forEach((id) => {
+      if (id === "x") return;
+      let base = options.scales[id];
+      if (!base) {
+        base = id === "yAmounts"
+          ? { display: false, min: 0, max: 100 }
+          : { ...baseAxis, position: "right", grid: { display: false } };
+      }
+      options.scales[id] = { ...base, ...axes[id] };
+    });
+
+    const annotations = this.getChartAnnotations(columns, lines.map((s) => s.field));
+    const plugins = [this.legendFixedWidthPlugin];
+    if (showAmounts) {
+      Object.assign(annotations, this.getAmountAnnotations(columns, periods, amountsAxis));
+      options.plugins.legend.labels.generateLabels = this.getAmountLegendLabels(periods);
+    }
+    if (showAmounts || datasets.some((d) => d.type === "bar" && !isDaily)) {
+      // Allow bars/annotations to render outside chart area, grid lines between the bars
+      options.clip = false;
+      options.scales.x.grid.offset = false;
+    }
+    options.plugins.annotation = {
+      annotations: annotations
     };
 
-    this.charts.wind = new Chart(canvas, {
-      type: "line",
+    if (chart.windArrows && !isDaily) {
+      const arrowSize = 7;
+      // Same 4-hour cadence as the value labels
+      options.plugins.windArrows = {
+        directions: columns.map((h) => h.wind_deg ?? null),
+        convention: this.config.windDirectionConvention,
+        every: 4,
+        size: arrowSize,
+        color: this.getTheme().label
+      };
+      // Reserve the strip below the x-axis labels
+      options.layout = { padding: { bottom: arrowSize * 2 + 4 } };
+      plugins.push(this.windArrowsPlugin);
+    }
+
+    if (chart.conditionIcons && !isDaily && columns.some((h) => h.condition)) {
+      const iconSize = 14;
+      const icons = {};
+      Object.keys(this.conditionIconDefaults).forEach((code) => {
+        icons[code] = { ...this.conditionIconDefaults[code], ...this.config.conditionIcons[code] };
+      });
+      options.plugins.conditionIcons = {
+        conditions: columns.map((h) => h.condition || null),
+        icons: icons,
+        size: iconSize
+      };
+      // Make room for the icon row under the title
+      options.plugins.title.padding = { top: 10, bottom: 10 + iconSize + 4 };
+      plugins.push(this.conditionIconsPlugin);
+    }
+
+    this.drawChart(chart.id, canvas, {
+      type: datasets.length > 0 && datasets.every((d) => d.type === "bar") ? "bar" : "line",
+      plugins: plugins,
       data: {
         labels: labels,
-        datasets: [
-          {
-            label: "Wind Speed",
-            data: hours.map((h) => h.wind_speed),
-            borderColor: this.config.windColor,
-            backgroundColor: "transparent",
-            tension: 0.3,
-            fill: false,
-            pointRadius: 0,
-            borderWidth: 2
-          },
-          {
-            label: "Wind Gust",
-            data: hours.map((h) => h.wind_gust || null),
-            borderColor: this.config.gustColor,
-            backgroundColor: "transparent",
-            tension: 0.3,
-            fill: false,
-            pointRadius: 0,
-            borderWidth: 2,
-            borderDash: [5, 5]
-          }
-        ]
+        datasets: datasets
       },
-      options: windOptions
+      options: options
     });
   },
 
-  renderPrecipitationChart: function (hours, labels) {
-    const canvas = document.getElementById(this.identifier + "-precip-chart");
-    if (!canvas) return;
-
-    // Build annotations: midnight lines + precipitation amount boxes
-    const annotations = this.getMidnightAnnotations(hours);
-    // Fixed height of 30 (30% of y-axis 0-100 scale) - label shows the amount value
+  // Labeled box for each precipitation period's amount, on the given y axis
+  getAmountAnnotations: function (columns, periods, axis) {
+    const annotations = {};
+    // Fixed height of 30 (30% of a 0-100 axis) - label shows the amount value
     const fixedHeight = 30;
+    const isDaily = this.config.resolution === "daily";
+    const forecastStart = columns.filter((h) => h.observed).length;
+    const theme = this.getTheme();
 
-    this.precipitationPeriods.forEach((period, idx) => {
+    periods.forEach((period, idx) => {
       // Only show box if amount is above display threshold
       if (period.amount < period.displayThreshold) return;
 
-      // Skip boxes at chart start (index 0) with less than 2 hours visible
+      // Skip boxes at the forecast start (index 0, or the first hour after the observed ones)
+      // with less than 2 hours visible
       // Future 1-hour windows are fine, only skip partial windows at the leading edge
-      if (period.startIndex === 0 && period.endIndex - period.startIndex < 2) return;
+      if (!isDaily && period.startIndex === forecastStart && period.endIndex - period.startIndex < 2) return;
 
       // Format label based on units: inches (") or mm
       const unitSymbol = period.units === "imperial" ? '"' : "mm";
       const labelContent = period.amount.toFixed(2) + unitSymbol;
 
-      // Use different colors for rain vs snow
-      const isSnow = period.type === "snow";
-      const boxColor = isSnow ? this.config.snowAmountColor : this.config.precipitationAmountColor;
+      // Use different colors for rain, snow and ice
+      const boxColor = this.getPrecipitationTypeColor(period.type);
 
       annotations["precip" + idx] = {
         type: "box",
         xMin: period.startIndex - 0.5,
         xMax: period.endIndex - 0.5,
-        yMin: 0,
-        yMax: fixedHeight,
+        yScaleID: axis,
+        // Periods forecast for the same hours (mixed precipitation) stack in lanes
+        yMin: (period.lane || 0) * fixedHeight,
+        yMax: ((period.lane || 0) + 1) * fixedHeight,
         backgroundColor: boxColor + "66", // 66 hex = 40% opacity
         borderColor: boxColor,
         borderWidth: 1,
         label: {
           display: true,
           content: labelContent,
-          color: "#ccc",
-          textStrokeColor: "rgba(0,0,0,0.8)",
+          color: theme.label,
+          textStrokeColor: theme.labelStroke,
           textStrokeWidth: 3,
-          font: { size: 13, weight: "normal" },
+          font: { size: theme.labelFontSize, weight: "normal" },
           position: "center"
         }
       };
     });
+    return annotations;
+  },
 
-    const baseOptions = this.getChartOptions("Precipitation");
+  // Legend generator adding an entry for each precipitation type with amounts shown
+  getAmountLegendLabels: function (periods) {
     const self = this;
+    return function (chart) {
+      const original = Chart.defaults.plugins.legend.labels.generateLabels(chart);
+      ["rain", "snow", "ice"].forEach((type) => {
+        if (!periods.some(p => p.type === type)) return;
+        const color = self.getPrecipitationTypeColor(type);
+        original.push({
+          text: self.translate(type.toUpperCase()),
+          fillStyle: color + "66",
+          strokeStyle: color,
+          lineWidth: 1,
+          hidden: false
+        });
+      });
+      return original;
+    };
+  },
 
-    this.charts.precip = new Chart(canvas, {
-      type: "bar",
-      data: {
-        labels: labels,
-        datasets: [
-          {
-            label: "Chance %",
-            data: hours.map((h) => (h.pop || 0) * 100),
-            backgroundColor: this.config.precipitationColor + "99", // 99 hex = 60% opacity
-            borderWidth: 0,
-            barPercentage: 0.8,
-            categoryPercentage: 0.9
-          }
-        ]
-      },
-      options: {
-        ...baseOptions,
-        clip: false,  // Allow bars/annotations to render outside chart area
-        plugins: {
-          ...baseOptions.plugins,
-          datalabels: { display: false },
-          legend: {
-            display: true,
-            position: "right",
-            labels: {
-              color: "#999",
-              font: { size: 14 },
-              boxWidth: 24,
-              padding: 8,
-              generateLabels: function (chart) {
-                const original = Chart.defaults.plugins.legend.labels.generateLabels(chart);
-                // Check if we have rain or snow periods to show in legend
-                const hasRain = self.precipitationPeriods.some(p => p.type === "rain");
-                const hasSnow = self.precipitationPeriods.some(p => p.type === "snow");
-
-                if (hasRain) {
-                  original.push({
-                    text: "Rain",
-                    fillStyle: self.config.precipitationAmountColor + "66",
-                    strokeStyle: self.config.precipitationAmountColor,
-                    lineWidth: 1,
-                    hidden: false
-                  });
-                }
-                if (hasSnow) {
-                  original.push({
-                    text: "Snow",
-                    fillStyle: self.config.snowAmountColor + "66",
-                    strokeStyle: self.config.snowAmountColor,
-                    lineWidth: 1,
-                    hidden: false
-                  });
-                }
-                return original;
-              }
-            }
-          },
-          annotation: {
-            annotations: annotations
-          }
-        },
-        scales: {
-          ...baseOptions.scales,
-          x: {
-            ...baseOptions.scales.x,
-            grid: {
-              ...baseOptions.scales.x.grid,
-              offset: false
-            }
-          },
-          y: {
-            ...baseOptions.scales.y,
-            min: 0,
-            max: 100
-          }
+  // Annotations for a chart plotting the given fields: midnight lines, alert bands and the
+  // "now" line on every chart, plus the threshold ranges for its fields
+  getChartAnnotations: function (hours, fields) {
+    return {
+      ...this.getAlertAnnotations(hours),
+      ...this.getThresholdAnnotations(hours, fields),
+      ...this.getMidnightAnnotations(hours),
+      ...this.getNowAnnotation(hours)
+    };
+  },
+
+  // Shaded, labeled band over each upcoming threshold event on a chart plotting its field
+  getThresholdAnnotations: function (hours, fields) {
+    const annotations = {};
+    const events = this.weatherData && this.weatherData.events;
+    if (!events || hours.length === 0) return annotations;
+
+    const now = Date.now() / 1000;
+    const fontSize = this.getTheme().smallFontSize;
+    events.forEach((event, i) => {
+      if (!fields.includes(event.field) || event.end <= now) return;
+      const start = this.getIndexForTime(hours, event.start);
+      const end = this.getIndexForTime(hours, event.end);
+      if (end <= start) return;
+
+      const threshold = this.config.thresholds[event.threshold] || {};
+      const color = threshold.color || this.config.thresholdColor;
+      annotations["threshold" + i] = {
+        type: "box",
+        drawTime: "beforeDatasetsDraw",
+        xMin: start - 0.5,
+        xMax: end - 0.5,
+        backgroundColor: color + "33", // 33 hex = 20% opacity
+        borderColor: color,
+        borderWidth: 0,
+        label: {
+          display: true,
+          content: event.label,
+          position: { x: "start", y: "start" },
+          color: color,
+          font: { size: fontSize },
+          padding: 2
+        }
+      };
+    });
+    return annotations;
+  },
+
+  // Move the "now" line on the existing charts without rebuilding them
+  updateNowMarker: function () {
+    const x = this.getIndexForTime(this.chartColumns, Date.now() / 1000);
+    Object.keys(this.charts).forEach((key) => {
+      const chart = this.charts[key];
+      const now = chart && chart.options.plugins.annotation && chart.options.plugins.annotation.annotations.now;
+      if (!now) return;
+      now.xMin = x;
+      now.xMax = x;
+      chart.update("none");
+    });
+  },
+
+  // Line segment style drawing observed hours solid; forecast hours keep the dataset's dash
+  getObservedSegment: function (hours) {
+    return {
+      borderDash: (ctx) => (hours[ctx.p1DataIndex] && hours[ctx.p1DataIndex].observed ? [] : undefined)
+    };
+  },
+
+  // Line at the current time, placed within its hour (or day) column
+  // (between the observed and forecast hours when history is shown)
+  getNowAnnotation: function (hours) {
+    if (hours.length === 0) return {};
+    const x = this.getIndexForTime(hours, Date.now() / 1000);
+    const theme = this.getTheme();
+    return {
+      now: {
+        type: "line",
+        xMin: x,
+        xMax: x,
+        borderColor: theme.label,
+        borderWidth: 1,
+        label: {
+          display: true,
+          content: this.translate("NOW"),
+          position: "start",
+          color: theme.label,
+          backgroundColor: theme.overlay,
+          font: { size: theme.smallFontSize },
+          padding: 2
         }
       }
+    };
+  },
+
+  // Fractional x position of a unix timestamp between the chart's columns
+  // (works for hourly and daily columns alike); clamped to the visible range
+  getIndexForTime: function (hours, timestamp) {
+    if (hours.length === 0) return 0;
+    if (timestamp <= hours[0].dt) return 0;
+    for (let i = 0; i < hours.length - 1; i++) {
+      if (timestamp < hours[i + 1].dt) {
+        return i + (timestamp - hours[i].dt) / (hours[i + 1].dt - hours[i].dt);
+      }
+    }
+    // Past the last column: extend by one column width
+    const last = hours.length - 1;
+    const step = last > 0 ? hours[last].dt - hours[last - 1].dt : 3600;
+    return Math.min(hours.length, last + (timestamp - hours[last].dt) / step);
+  },
+
+  // Colored band for each alert's onset-ends window, drawn behind the data
+  getAlertAnnotations: function (hours) {
+    const annotations = {};
+    if (hours.length === 0) return annotations;
+
+    this.getVisibleAlerts().forEach((alert, i) => {
+      const start = this.getIndexForTime(hours, alert.onset || hours[0].dt);
+      const end = alert.ends ? this.getIndexForTime(hours, alert.ends) : hours.length;
+      if (end <= start) return;
+
+      const color = this.getAlertColor(alert);
+      annotations["alert" + i] = {
+        type: "box",
+        drawTime: "beforeDatasetsDraw",
+        xMin: start - 0.5,
+        xMax: end - 0.5,
+        backgroundColor: color + "26", // 26 hex = 15% opacity
+        borderColor: color,
+        borderWidth: 0
+      };
+    });
+    return annotations;
+  },
+
+  // Overlay mode: one temperature series per location, aligned to the displayed hours by
+  // timestamp (locations without data yet get an empty line). null outside overlay mode.
+  getOverlaySeries: function (hours) {
+    const locations = this.getLocations();
+    if (!locations || this.config.locationMode !== "overlay") return null;
+
+    const colors = this.config.locationColors;
+    return locations.map((location, idx) => {
+      const entry = this.locationData[idx];
+      const temps = {};
+      (entry && entry.data ? (entry.data.history || []).concat(entry.data.hourly) : []).forEach((h) => {
+        temps[h.dt] = h.temp;
+      });
+      return {
+        name: location.name || location.location || location.latitude + "," + location.longitude,
+        color: colors[idx % colors.length],
+        data: hours.map((h) => temps[h.dt] ?? null)
+      };
     });
   },
 
+  getPrecipitationTypeColor: function (type) {
+    if (type === "snow") return this.config.snowAmountColor;
+    if (type === "ice") return this.config.iceAmountColor;
+    return this.config.precipitationAmountColor;
+  },
+
   getMidnightIndices: function (hours) {
     const indices = [];
+    const timeZone = this.getTimeZone();
     hours.forEach((h, idx) => {
-      const date = new Date(h.dt * 1000);
-      if (date.getHours() === 0) {
+      const parts = WeatherForecastGraphProcessing.getZonedParts(new Date(h.dt * 1000), timeZone);
+      if (parts.hour === 0) {
         indices.push(idx);
       }
     });
@@ -551,12 +1721,15 @@ Module.register("MMM-WeatherForecastGraph", {
 
   getMidnightAnnotations: function (hours) {
     const annotations = {};
+    // Every daily column starts at midnight - day boundaries are the bars themselves
+    if (this.config.resolution === "daily") return annotations;
+    const color = this.getTheme().midnight;
     this.getMidnightIndices(hours).forEach((idx, i) => {
       annotations["midnight" + i] = {
         type: "line",
         xMin: idx,
         xMax: idx,
-        borderColor: "#555",
+        borderColor: color,
         borderWidth: 1,
         borderDash: [4, 4]
       };
@@ -564,28 +1737,85 @@ Module.register("MMM-WeatherForecastGraph", {
     return annotations;
   },
 
+  // Name of the theme to show now: config.theme, or with "auto" the day or night theme
+  // depending on whether the sun is up at the forecast location (6:00-18:00 local time
+  // when its coordinates aren't known, e.g. in passive mode)
+  getThemeName: function () {
+    if (this.config.theme !== "auto") return this.config.theme;
+
+    const coordinates = this.getCoordinates();
+    let isDay;
+    if (coordinates) {
+      isDay = WeatherForecastGraphProcessing.isDaytime(Date.now() / 1000, coordinates.latitude, coordinates.longitude);
+    } else {
+      const hour = WeatherForecastGraphProcessing.getZonedParts(new Date(), this.getTimeZone()).hour;
+      isDay = hour >= 6 && hour < 18;
+    }
+    return isDay ? this.config.dayTheme : this.config.nightTheme;
+  },
+
+  // The current theme (unknown names fall back to dark), with themeOverrides merged over it
+  getTheme: function () {
+    const name = this.getThemeName();
+    const overrides = this.config.themeOverrides || {};
+    const shared = {};
+    Object.keys(overrides).forEach((key) => {
+      if (!this.themes[key]) shared[key] = overrides[key];
+    });
+    return { ...(this.themes[name] || this.themes.dark), ...shared, ...overrides[name] };
+  },
+
+  // Theme colors the stylesheet uses, as CSS custom properties on the wrapper
+  applyTheme: function (wrapper) {
+    const theme = this.getTheme();
+    wrapper.style.setProperty("--wfg-panel", theme.panel);
+    wrapper.style.setProperty("--wfg-overlay", theme.overlay);
+    wrapper.style.setProperty("--wfg-text", theme.text);
+    wrapper.style.setProperty("--wfg-label", theme.label);
+    wrapper.style.setProperty("--wfg-message", theme.message);
+  },
+
+  // Coordinates of the displayed forecast: from node_helper (geocoded locations included),
+  // else from the config
+  getCoordinates: function () {
+    const data = this.weatherData;
+    if (data && typeof data.latitude === "number" && typeof data.longitude === "number") {
+      return { latitude: data.latitude, longitude: data.longitude };
+    }
+    const location = this.getDisplayedLocation() || this.config;
+    if (typeof location.latitude === "number" && typeof location.longitude === "number") {
+      return { latitude: location.latitude, longitude: location.longitude };
+    }
+    return null;
+  },
+
   getChartOptions: function (title) {
+    const theme = this.getTheme();
+    const dayNames = this.getLabelFormatters().dayNames;
     return {
       responsive: false,
       maintainAspectRatio: false,
       animation: this.config.animateCharts ? {} : false,
       plugins: {
+        legendFixedWidth: { width: theme.legendWidth },
         legend: {
-          // Show legend for multi-dataset charts (Temperature with feels-like, Wind with gusts)
-          display: (title === "Temperature" && this.config.showFeelsLike) || title === "Wind",
+          // Turned on by renderChart for charts with several series
+          display: false,
           position: "right",
           labels: {
-            color: "#999",
-            font: { size: 14 },
+            color: theme.text,
+            font: { size: theme.fontSize },
             boxWidth: 24,
             padding: 8
           }
         },
         title: {
           display: true,
-          text: title,
-          color: "#999",
-          font: { size: 16 }
+          text: this.getDisplayedLocation() && this.getDisplayedLocation().name
+            ? title + " · " + this.getDisplayedLocation().name
+            : title,
+          color: theme.text,
+          font: { size: theme.titleFontSize }
         }
       },
       scales: {
@@ -593,17 +1823,17 @@ Module.register("MMM-WeatherForecastGraph", {
           offset: true,  // Add space between y-axis and first data point
           grid: {
             display: this.config.showGridLines,
-            color: "#333"
+            color: theme.grid
           },
           ticks: {
-            color: "#999",
-            font: { size: 14 },
+            color: theme.text,
+            font: { size: theme.fontSize },
             autoSkip: false,
             maxRotation: 0,
             callback: function (value, index) {
               const label = this.getLabelForValue(value);
               // Check if this is a day name using exact array match (not character detection)
-              const isDayLabel = DAY_NAMES.includes(label);
+              const isDayLabel = dayNames.includes(label);
               // At midnight, show day name on second line (first line blank)
               if (isDayLabel) {
                 return ["", label];
@@ -622,11 +1852,11 @@ Module.register("MMM-WeatherForecastGraph", {
           },
           grid: {
             display: this.config.showGridLines,
-            color: "#333"
+            color: theme.grid
           },
           ticks: {
-            color: "#999",
-            font: { size: 14 }
+            color: theme.text,
+            font: { size: theme.fontSize }
           },
           grace: "5%"
         }
@@ -634,17 +1864,69 @@ Module.register("MMM-WeatherForecastGraph", {
     };
   },
 
+  // Human-readable age, e.g. "5 min", "2 h", "1 d"
+  formatAge: function (ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return this.translate("AGE_UNDER_MINUTE");
+    if (minutes < 60) return this.translate("AGE_MINUTES", { count: minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return this.translate("AGE_HOURS", { count: hours });
+    return this.translate("AGE_DAYS", { count: Math.floor(hours / 24) });
+  },
+
+  // Zone that hour labels, midnight lines and days follow: the timezone option, else the
+  // zone reported with the forecast, else the mirror's own
+  getTimeZone: function () {
+    return this.config.timezone || (this.weatherData && this.weatherData.timeZone) || null;
+  },
+
+  // Language for day names and hour labels: MagicMirror's, else the browser's
+  getLanguage: function () {
+    return (typeof config !== "undefined" && config.language) || undefined;
+  },
+
+  // 12 or 24, from the timeFormat option or MagicMirror's
+  getTimeFormat: function () {
+    const globalFormat = typeof config !== "undefined" ? config.timeFormat : null;
+    return Number(this.config.timeFormat || globalFormat) === 24 ? 24 : 12;
+  },
+
+  // Intl formatters for the x-axis labels (see formatHour), rebuilt when the language, zone or time format changes
+  getLabelFormatters: function () {
+    const key = [this.getLanguage(), this.getTimeZone(), this.getTimeFormat()].join("|");
+    if (!this.labelFormatters || this.labelFormatters.key !== key) {
+      const timeZone = this.getTimeZone() || undefined;
+      const weekday = new Intl.DateTimeFormat(this.getLanguage(), { weekday: "short", timeZone: timeZone });
+      this.labelFormatters = {
+        key: key,
+        weekday: weekday,
+        // All seven, for telling day labels from hour labels (January 7 2024 was a Sunday)
+        dayNames: [0, 1, 2, 3, 4, 5, 6].map((day) => weekday.format(new Date(Date.UTC(2024, 0, 7 + day, 12)))),
+        hour: new Intl.DateTimeFormat(this.getLanguage(), {
+          hour: "numeric",
+          hourCycle: this.getTimeFormat() === 24 ? "h23" : "h12",
+          timeZone: timeZone
+        })
+      };
+    }
+    return this.labelFormatters;
+  },
+
   formatHour: function (timestamp) {
     if (timestamp == null || isNaN(timestamp)) return "--";
     const date = new Date(timestamp * 1000);
     if (isNaN(date.getTime())) return "--";
-    const hour = date.getHours();
+    const parts = WeatherForecastGraphProcessing.getZonedParts(date, this.getTimeZone());
+    const formatters = this.getLabelFormatters();
     // Show weekday abbreviation at midnight as day marker
-    if (hour === 0) {
-      return DAY_NAMES[date.getDay()];
+    if (parts.hour === 0) {
+      return formatters.weekday.format(date);
     }
-    const ampm = hour >= 12 ? "p" : "a";
-    const hour12 = hour % 12 || 12;
-    return hour12 + ampm;
+    // Just the hour and, for 12-hour labels, the day period - "3p" rather than "3 PM" keeps
+    // the labels narrow (Latin-script periods shrink to their first letter)
+    return formatters.hour.formatToParts(date)
+      .filter((part) => part.type === "hour" || part.type === "dayPeriod")
+      .map((part) => (part.type === "dayPeriod" && /^[a-z]/i.test(part.value) ? part.value[0].toLowerCase() : part.value))
+      .join("");
   }
 });
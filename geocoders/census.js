@@ -0,0 +1,27 @@
+/* Geocoder: US Census Bureau (geocoding.geo.census.gov)
+ * US street addresses, no API key required. Matches the weather.gov provider's coverage,
+ * but needs a street address - ZIP codes and "City, ST" alone fall through to the next geocoder.
+ */
+
+const { fetchJson } = require("../providers/common");
+
+module.exports = {
+  name: "census",
+  label: "US Census",
+
+  geocode: async function (query) {
+    const url = "https://geocoding.geo.census.gov/geocoder/locations/onelineaddress" +
+      `?address=${encodeURIComponent(query)}` +
+      "&benchmark=Public_AR_Current&format=json";
+
+    const data = await fetchJson(url, "Census geocoder");
+    const match = data.result?.addressMatches?.[0];
+    if (!match) return null;
+
+    return {
+      latitude: match.coordinates.y,
+      longitude: match.coordinates.x,
+      name: match.matchedAddress
+    };
+  }
+};
@@ -0,0 +1,40 @@
+/* Geocoder registry
+ * Each geocoder exports geocode(query), resolving to { latitude, longitude, name }
+ * or null when nothing matches. The configured geocoder is tried first, then the
+ * others in order, so a US-only geocoder still handles ZIP codes and foreign places.
+ */
+
+const Log = require("logger");
+
+const geocoders = {
+  census: require("./census"),
+  openmeteo: require("./openmeteo")
+};
+
+module.exports = {
+  names: Object.keys(geocoders),
+
+  get: function (name) {
+    return geocoders[name || "census"] || null;
+  },
+
+  geocode: async function (query, name) {
+    const first = this.get(name);
+    const order = first ? [first, ...Object.values(geocoders).filter((g) => g !== first)] : Object.values(geocoders);
+    let lastError = null;
+
+    for (const geocoder of order) {
+      try {
+        const place = await geocoder.geocode(query);
+        if (place) return { ...place, geocoder: geocoder.name };
+      } catch (error) {
+        Log.warn(`MMM-WeatherForecastGraph: ${geocoder.label} could not geocode "${query}": ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    // A failed request may have hidden a match - report the error rather than "not found"
+    if (lastError) throw lastError;
+    return null;
+  }
+};
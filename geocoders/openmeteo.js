@@ -0,0 +1,41 @@
+/* Geocoder: Open-Meteo geocoding API (open-meteo.com)
+ * Worldwide place names and postal codes, no API key required.
+ */
+
+const { fetchJson } = require("../providers/common");
+
+async function search(name, count) {
+  const url = "https://geocoding-api.open-meteo.com/v1/search" +
+    `?name=${encodeURIComponent(name)}&count=${count}&language=en&format=json`;
+  const data = await fetchJson(url, "Open-Meteo geocoder");
+  return data.results || [];
+}
+
+module.exports = {
+  name: "openmeteo",
+  label: "Open-Meteo",
+
+  geocode: async function (query) {
+    let results = await search(query, 1);
+
+    // The API matches bare names only - retry "Denver, CO" as "Denver", preferring US
+    // places when the rest looks like a state abbreviation
+    if (results.length === 0 && query.includes(",")) {
+      const [place, region] = query.split(",").map((part) => part.trim());
+      results = await search(place, 10);
+      if (/^[A-Za-z]{2}$/.test(region)) {
+        const us = results.filter((r) => r.country_code === "US");
+        if (us.length > 0) results = us;
+      }
+    }
+
+    const match = results[0];
+    if (!match) return null;
+
+    return {
+      latitude: match.latitude,
+      longitude: match.longitude,
+      name: [match.name, match.admin1 || match.country].filter(Boolean).join(", ")
+    };
+  }
+};
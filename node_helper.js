@@ -1,379 +1,705 @@
 /* MagicMirror² Node Helper: MMM-WeatherForecastGraph
- * Fetches weather data directly from weather.gov API
+ * Fetches weather data from the configured provider (weather.gov by default)
+ * Fetching is coordinated per location: module instances (and mirror browsers) showing
+ * the same provider and coordinates share one scheduler and one in-flight request.
+ * The processed forecasts are also served read-only over HTTP (see setupRoutes).
  */
 
+const fs = require("fs");
+const path = require("path");
 const NodeHelper = require("node_helper");
 const Log = require("logger");
+const providers = require("./providers");
+const geocoders = require("./geocoders");
+const { setRequestBudget } = require("./providers/common");
+const {
+  processWeatherData,
+  processObservations,
+  evaluateThresholds,
+  sliceForecast,
+  startOfHour
+} = require("./weather-processing");
 
 module.exports = NodeHelper.create({
-  // Store configs per instance to support multiple modules with different locations
+  // Config per instance, to support multiple modules with different locations
   instances: {},
-  // Cache grid URLs by coordinates (they never change)
+  // Browser sockets showing each instance - an instance is dropped a while after its last
+  // one disconnects (see scheduleRemoval)
+  instanceSockets: {},
+  // Pending removals by instanceId, cancelled when the instance sends CONFIG again
+  removalTimeouts: {},
+  // Failed place lookups waiting to be retried, by instanceId: { failureCount, timeoutId }
+  geocodeRetries: {},
+  // Fetch state per location key (provider + coordinates), shared by every subscribed instance
+  locations: {},
+  // Cache weather.gov grid URLs and time zones by coordinates (they rarely change)
   gridUrlCache: {},
-  // Cache weather data by coordinates (for fresh page loads)
+  // Geocoded `location` strings (normalized) to { latitude, longitude, name } - kept for good
+  geocodeCache: {},
+  // Last grid response per grid URL with its Last-Modified/Expires validators (memory only)
+  gridResponseCache: {},
+  // Cache processed weather data by location and display settings (for fresh page loads)
   dataCache: {},
-  // Track fetch in progress per instance to prevent concurrent fetches
-  fetchInProgress: {},
+  // Both caches are persisted here so restarts render instantly and survive API outages
+  cacheFile: path.join(__dirname, "cache.json"),
+  cacheWriteTimeoutId: null,
   // Retry settings
   maxRetries: 3,
   retryDelayMs: 5000,
+  // Extra forecast hours processed beyond hoursToShow (see getFetchConfig)
+  bufferHours: 6,
 
   start: function () {
     Log.log(`Starting node_helper for: ${this.name}`);
+    this.loadCache();
+    this.setupRoutes();
   },
 
-  socketNotificationReceived: function (notification, payload) {
-    if (notification === "CONFIG") {
-      const instanceId = payload.instanceId;
-      const cacheKey = `${payload.latitude},${payload.longitude}`;
-      const cached = this.dataCache[cacheKey];
-      const cacheAge = cached ? Date.now() - cached.timestamp : Infinity;
-      const isCacheFresh = cacheAge < 60000; // Fresh if < 1 minute old
-
-      // Only send cached data if it's fresh (avoids flash from stale-then-fresh update)
-      if (cached && isCacheFresh) {
-        this.sendSocketNotification("WEATHER_GRAPH_DATA", {
-          instanceId: instanceId,
-          data: cached.data
+  // Read-only HTTP access to the processed forecasts, for scripts and other dashboards:
+  // GET /MMM-WeatherForecastGraph/forecast lists the instances, and
+  // ?instance=<identifier>[&location=<index>][&format=csv] returns one instance's forecast
+  setupRoutes: function () {
+    this.expressApp.get(`/${this.name}/forecast`, (req, res) => {
+      const instanceId = req.query.instance;
+      if (!instanceId) {
+        res.json({
+          instances: Object.keys(this.instances).map((id) => ({
+            instance: id,
+            locations: this.getInstanceLocations(this.instances[id]).map((config) =>
+              config.locationName || config.placeName || `${config.latitude},${config.longitude}`)
+          }))
         });
+        return;
       }
 
-      // Fetch immediately if cache is stale or missing (regardless of instance state)
-      if (!isCacheFresh) {
-        this.fetchData(instanceId);
+      const config = this.instances[instanceId];
+      const locationConfig = config && this.getInstanceLocations(config)[Number(req.query.location) || 0];
+      if (!locationConfig) {
+        res.status(404).json({ error: `Unknown instance or location "${instanceId}"` });
+        return;
       }
 
-      // Only register and schedule updates if not already running for this instance
-      if (!this.instances[instanceId]) {
-        this.instances[instanceId] = payload;
-        this.scheduleUpdate(instanceId);
+      const cached = this.dataCache[this.getDataCacheKey(locationConfig)];
+      if (!cached) {
+        res.status(503).json({ error: "No forecast fetched yet" });
+        return;
       }
-    }
-  },
 
-  scheduleUpdate: function (instanceId) {
-    const config = this.instances[instanceId];
-    if (!config) return;
+      const forecast = this.getPublishedForecast(cached, locationConfig);
+      if (req.query.format === "csv") {
+        res.type("text/csv").send(this.toCsv(forecast.hourly));
+        return;
+      }
+      res.json(forecast);
+    });
+  },
 
-    // Store interval ID for potential cleanup to avoid multiple concurrent intervals
-    config.updateIntervalId = setInterval(() => {
-      this.fetchData(instanceId);
-    }, config.updateInterval);
+  // A cached forecast as published over HTTP: the instance's hoursToShow from the current
+  // hour on, with its threshold events, alerts and where and when it was fetched
+  getPublishedForecast: function (cached, config) {
+    const startDt = Math.floor(startOfHour(new Date(), cached.data.timeZone).getTime() / 1000);
+    const window = sliceForecast(cached.data.hourly, cached.data.precipitationPeriods, startDt, config.hoursToShow || 48);
+    const data = this.getInstanceData({ ...cached.data, ...window }, config);
+    return {
+      location: config.locationName || null,
+      placeName: data.placeName || null,
+      latitude: config.latitude,
+      longitude: config.longitude,
+      units: config.units || "imperial",
+      timeZone: data.timeZone || null,
+      updated: cached.timestamp,
+      hourly: data.hourly,
+      precipitationPeriods: data.precipitationPeriods,
+      events: data.events || [],
+      alerts: data.alerts || []
+    };
   },
 
-  fetchData: async function (instanceId, retryCount = 0) {
-    const config = this.instances[instanceId];
-    if (!config) return;
+  // One row per hour; missing values are left empty
+  toCsv: function (hourly) {
+    const columns = ["temp", "feels_like", "wind_speed", "wind_gust", "wind_deg", "pop", "dew_point", "humidity", "clouds"];
+    const rows = hourly.map((h) => [
+      new Date(h.dt * 1000).toISOString(),
+      ...columns.map((column) => h[column] ?? ""),
+      (h.conditions || []).join(";")
+    ].join(","));
+    return ["time", ...columns, "conditions"].join(",") + "\n" + rows.join("\n") + "\n";
+  },
 
-    // Prevent concurrent fetches for the same instance (only check on initial fetch, not retries)
-    if (retryCount === 0 && this.fetchInProgress[instanceId]) {
-      Log.info(`${this.name}: Fetch already in progress for ${instanceId}, skipping`);
-      return;
-    }
-    if (retryCount === 0) {
-      this.fetchInProgress[instanceId] = true;
+  // Restore grid URLs and the last processed forecasts saved by a previous run
+  loadCache: function () {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.cacheFile, "utf8"));
+      this.gridUrlCache = saved.gridUrls || {};
+      this.geocodeCache = saved.geocodes || {};
+      this.dataCache = saved.data || {};
+      Log.info(`${this.name}: Loaded cache with ${Object.keys(this.dataCache).length} forecast(s)`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        Log.warn(`${this.name}: Ignoring unreadable cache file: ${error.message}`);
+      }
     }
+  },
 
-    const { latitude, longitude } = config;
+  // Write both caches to disk, debounced so a burst of updates causes a single write
+  saveCache: function () {
+    if (this.cacheWriteTimeoutId) return;
 
-    if (!latitude || !longitude) {
-      Log.error(`${this.name}: latitude and longitude are required`);
-      this.fetchInProgress[instanceId] = false;
-      return;
-    }
+    this.cacheWriteTimeoutId = setTimeout(async () => {
+      this.cacheWriteTimeoutId = null;
+      const contents = JSON.stringify({
+        gridUrls: this.gridUrlCache,
+        geocodes: this.geocodeCache,
+        data: this.dataCache
+      });
+      // Write to a temp file and rename so a crash mid-write never leaves a truncated cache
+      const tempFile = this.cacheFile + ".tmp";
+      try {
+        await fs.promises.writeFile(tempFile, contents);
+        await fs.promises.rename(tempFile, this.cacheFile);
+      } catch (error) {
+        Log.warn(`${this.name}: Could not write cache file: ${error.message}`);
+      }
+    }, 1000);
+  },
 
-    try {
-      // Step 1: Get grid URL (from cache or API)
-      const cacheKey = `${latitude},${longitude}`;
-      let forecastGridDataUrl = this.gridUrlCache[cacheKey];
-
-      if (!forecastGridDataUrl) {
-        const pointsUrl = `https://api.weather.gov/points/${latitude},${longitude}`;
-        const pointsResponse = await fetch(pointsUrl, {
-          headers: {
-            "User-Agent": "MMM-WeatherForecastGraph/1.0",
-            "Accept": `application/geo+json;v=${Date.now()}`
-          },
-          cache: "no-store"
-        });
+  // Track which browser connections show which instances, so timers can be cleaned up
+  // when the last browser showing an instance goes away
+  setSocketIO: function (io) {
+    this._super(io);
+
+    io.of(this.name).on("connection", (socket) => {
+      socket.on("CONFIG", (payload) => {
+        if (!payload || !payload.instanceId) return;
+        const sockets = this.instanceSockets[payload.instanceId] || new Set();
+        sockets.add(socket.id);
+        this.instanceSockets[payload.instanceId] = sockets;
+        clearTimeout(this.removalTimeouts[payload.instanceId]);
+        delete this.removalTimeouts[payload.instanceId];
+      });
 
-        if (!pointsResponse.ok) {
-          throw new Error(`Points API error: ${pointsResponse.status}`);
-        }
+      socket.on("disconnect", () => {
+        Object.keys(this.instanceSockets).forEach((instanceId) => {
+          const sockets = this.instanceSockets[instanceId];
+          sockets.delete(socket.id);
+          if (sockets.size === 0) {
+            delete this.instanceSockets[instanceId];
+            this.scheduleRemoval(instanceId);
+          }
+        });
+      });
+    });
+  },
 
-        const pointsData = await pointsResponse.json();
-        forecastGridDataUrl = pointsData.properties.forecastGridData;
+  socketNotificationReceived: function (notification, payload) {
+    if (notification === "CONFIG") {
+      this.configureInstance(payload).catch((error) => {
+        Log.error(`${this.name}: ${error.message}`);
+        this.sendSocketNotification("WEATHER_GRAPH_ERROR", {
+          instanceId: payload.instanceId,
+          error: error.message
+        });
+      });
+    } else if (notification === "STOP") {
+      this.removeInstance(payload.instanceId);
+    }
+  },
 
-        // Cache the grid URL
-        this.gridUrlCache[cacheKey] = forecastGridDataUrl;
-        Log.info(`${this.name}: Cached grid URL for ${cacheKey}`);
-      }
+  // Look up the instance's place names (cached ones resolve without a request), then
+  // register it. Each failed lookup is reported - with its locationIndex for locations
+  // entries, which are registered without it meanwhile - and retried with backoff unless
+  // the place simply wasn't found (e.g. no network yet after a reboot, before cache.json
+  // has the place). If the instance's own location fails, nothing is registered for it
+  // until a retry succeeds.
+  configureInstance: async function (payload) {
+    const instanceId = payload.instanceId;
+    const retry = this.geocodeRetries[instanceId];
+    if (retry) clearTimeout(retry.timeoutId);
+
+    const { config, failures } = await this.geocodeConfig(payload);
+    if (failures.some((failure) => failure.locationIndex === undefined)) {
+      // Stop delivering the previously configured place under the new setting
+      this.unregisterInstance(instanceId);
+    } else {
+      this.registerInstance(config);
+    }
+    if (failures.length === 0) {
+      delete this.geocodeRetries[instanceId];
+      return;
+    }
 
-      // Step 2: Get hourly forecast data
-      const gridResponse = await fetch(forecastGridDataUrl, {
-        headers: {
-          "User-Agent": "MMM-WeatherForecastGraph/1.0",
-          "Accept": `application/geo+json;v=${Date.now()}`
-        },
-        cache: "no-store"
+    const retryIn = failures.some((failure) => !failure.error.notFound)
+      ? this.scheduleGeocodeRetry(payload)
+      : null;
+    failures.forEach((failure) => {
+      Log.error(`${this.name}: ${failure.error.message}`);
+      this.sendSocketNotification("WEATHER_GRAPH_ERROR", {
+        instanceId: instanceId,
+        locationIndex: failure.locationIndex,
+        error: failure.error.message,
+        retryIn: retryIn
       });
+    });
+  },
 
-      if (!gridResponse.ok) {
-        throw new Error(`Grid API error: ${gridResponse.status}`);
+  // Configure the instance again later, backing off like scheduleRecovery. Returns the delay.
+  scheduleGeocodeRetry: function (payload) {
+    const retry = this.geocodeRetries[payload.instanceId] || { failureCount: 0, timeoutId: null };
+    const delay = Math.min(
+      payload.updateInterval || 900000,
+      this.retryDelayMs * Math.pow(2, this.maxRetries + retry.failureCount)
+    );
+    retry.failureCount++;
+    clearTimeout(retry.timeoutId);
+    retry.timeoutId = setTimeout(() => {
+      retry.timeoutId = null;
+      this.configureInstance(payload).catch((error) => Log.error(`${this.name}: ${error.message}`));
+    }, delay);
+    this.geocodeRetries[payload.instanceId] = retry;
+    return delay;
+  },
+
+  // Replace `location` strings (on the config or its locations entries) with coordinates
+  // A location string takes precedence over latitude/longitude on the same entry. Resolves to
+  // the config and the failed lookups as { locationIndex, error } (no index for the config's
+  // own location); locations entries whose lookup failed are marked geocodeFailed.
+  geocodeConfig: async function (config) {
+    const failures = [];
+    const resolve = async (entry, locationIndex) => {
+      if (!entry.location) return entry;
+      try {
+        const place = await this.geocode(entry.location, config.geocoder);
+        return { ...entry, latitude: place.latitude, longitude: place.longitude, placeName: place.name };
+      } catch (error) {
+        failures.push({ locationIndex: locationIndex, error: error });
+        return { ...entry, geocodeFailed: true };
       }
+    };
 
-      const gridData = await gridResponse.json();
+    // With locations, the config's own location isn't shown
+    if (Array.isArray(config.locations) && config.locations.length > 0) {
+      const locations = await Promise.all(config.locations.map((entry, idx) => resolve(entry, idx)));
+      return { config: { ...config, locations: locations }, failures: failures };
+    }
+    return { config: await resolve(config), failures: failures };
+  },
 
-      // Step 3: Process the data
-      const processedData = this.processWeatherData(gridData.properties, config);
+  geocode: async function (query, geocoderName) {
+    const cacheKey = query.trim().toLowerCase();
+    if (this.geocodeCache[cacheKey]) return this.geocodeCache[cacheKey];
 
-      // Step 4: Cache the data with timestamp for fresh page loads (reuse cacheKey from Step 1)
-      this.dataCache[cacheKey] = {
-        data: processedData,
-        timestamp: Date.now()
-      };
+    const place = await geocoders.geocode(query, geocoderName);
+    if (!place) {
+      const error = new Error(`Could not find location "${query}"`);
+      error.notFound = true;
+      throw error;
+    }
 
-      // Step 5: Send to frontend with instanceId for filtering
-      Log.info(`${this.name}: Sending weather data to frontend`);
-      this.fetchInProgress[instanceId] = false;
-      this.sendSocketNotification("WEATHER_GRAPH_DATA", {
-        instanceId: instanceId,
-        data: processedData
-      });
+    // weather.gov points lookups take at most 4 decimals
+    const cached = {
+      latitude: Math.round(place.latitude * 10000) / 10000,
+      longitude: Math.round(place.longitude * 10000) / 10000,
+      name: place.name
+    };
+    this.geocodeCache[cacheKey] = cached;
+    this.saveCache();
+    Log.info(`${this.name}: Geocoded "${query}" to ${cached.latitude},${cached.longitude} (${place.geocoder})`);
+    return cached;
+  },
 
-    } catch (error) {
-      Log.error(`${this.name}: Error fetching weather data: ${error.message}`);
+  // Subscribe an instance (or update its subscriptions after a config change) and
+  // send it whatever is cached for its locations
+  registerInstance: function (payload) {
+    const instanceId = payload.instanceId;
+
+    // Register (or re-register with the new settings) before fetching so this instance
+    // receives the results
+    const previous = this.instances[instanceId];
+    const previousLocations = previous ? this.getInstanceLocations(previous) : [];
+    this.instances[instanceId] = payload;
+    this.updateRequestBudget();
+
+    previousLocations.forEach((config) => {
+      if (!this.getLocationConfig(instanceId, this.getLocationKey(config))) {
+        this.unsubscribe(instanceId, this.getLocationKey(config));
+      }
+    });
 
-      // Retry logic with exponential backoff
-      if (retryCount < this.maxRetries) {
-        const delay = this.retryDelayMs * Math.pow(2, retryCount);
-        Log.info(`${this.name}: Retrying in ${delay}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
-        setTimeout(() => {
-          this.fetchData(instanceId, retryCount + 1);
-        }, delay);
-      } else {
-        // Send error notification to frontend after all retries exhausted
-        this.fetchInProgress[instanceId] = false;
-        this.sendSocketNotification("WEATHER_GRAPH_ERROR", {
+    this.getInstanceLocations(payload).forEach((config) => {
+      const locationKey = this.getLocationKey(config);
+      const cached = this.dataCache[this.getDataCacheKey(config)];
+      const cacheAge = cached ? Date.now() - cached.timestamp : Infinity;
+      const isCacheFresh = cacheAge < 60000; // Fresh if < 1 minute old
+      const maxCacheAge = payload.cacheMaxAge ?? 10800000;
+
+      // Send cached data (possibly from a previous run) unless it exceeds the staleness limit,
+      // so the charts render immediately while a fresh fetch is in progress
+      if (cached && cacheAge < maxCacheAge) {
+        this.sendSocketNotification("WEATHER_GRAPH_DATA", {
           instanceId: instanceId,
-          error: error.message
+          locationKey: locationKey,
+          locationIndex: config.locationIndex,
+          data: this.getInstanceData(cached.data, config),
+          timestamp: cached.timestamp,
+          cached: !isCacheFresh
         });
       }
+
+      const previousConfig = previousLocations.find((p) => this.getLocationKey(p) === locationKey);
+      this.subscribe(instanceId, locationKey);
+
+      // Fetch immediately if cache is stale or missing, or the new settings need data the
+      // last fetch didn't include (joins a fetch already in flight)
+      if (!isCacheFresh || (previousConfig && this.needsRefetch(previousConfig, config))) {
+        this.fetchLocation(locationKey);
+      }
+    });
+  },
+
+  // Locations an instance shows, each as a config with that location's coordinates:
+  // the entries of config.locations (name, latitude/longitude or a geocoded location,
+  // optional provider) tagged with their index, or just the instance's own coordinates
+  getInstanceLocations: function (config) {
+    if (!Array.isArray(config.locations) || config.locations.length === 0) {
+      return [config];
     }
+    // Entries whose place lookup failed are left out until a retry finds them
+    return config.locations.map((location, index) => (location.geocodeFailed ? null : {
+      ...config,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      provider: location.provider || config.provider,
+      locationName: location.name,
+      locationIndex: index,
+      placeName: location.placeName
+    })).filter(Boolean);
   },
 
-  processWeatherData: function (properties, config) {
-    const now = new Date();
-    const hoursToShow = config.hoursToShow || 48;
-    const units = config.units || "imperial";
-
-    // Expand time series into hourly data
-    const tempValues = this.expandTimeSeries(properties.temperature?.values || []);
-    const feelsLikeValues = this.expandTimeSeries(properties.apparentTemperature?.values || []);
-    const windSpeedValues = this.expandTimeSeries(properties.windSpeed?.values || []);
-    const windGustValues = this.expandTimeSeries(properties.windGust?.values || []);
-    const popValues = this.expandTimeSeries(properties.probabilityOfPrecipitation?.values || []);
-
-    // Find the starting hour (current hour)
-    const startHour = new Date(now);
-    startHour.setMinutes(0, 0, 0);
-
-    // Build hourly data first (we need temps for precipitation filtering)
-    const hourly = [];
-    for (let i = 0; i < hoursToShow; i++) {
-      const targetTime = new Date(startHour.getTime() + i * 3600000);
-
-      // Find values for this hour
-      const temp = this.findValueAtTime(tempValues, targetTime);
-      const feelsLike = this.findValueAtTime(feelsLikeValues, targetTime);
-      const windSpeed = this.findValueAtTime(windSpeedValues, targetTime);
-      const windGust = this.findValueAtTime(windGustValues, targetTime);
-      const pop = this.findValueAtTime(popValues, targetTime);
-
-      hourly.push({
-        dt: Math.floor(targetTime.getTime() / 1000),
-        temp: units === "imperial" ? this.celsiusToFahrenheit(temp) : Math.round(temp),
-        feels_like: units === "imperial" ? this.celsiusToFahrenheit(feelsLike) : Math.round(feelsLike),
-        wind_speed: units === "imperial" ? this.kphToMph(windSpeed) : Math.round(windSpeed),
-        wind_gust: units === "imperial" ? this.kphToMph(windGust) : Math.round(windGust),
-        pop: pop !== null ? pop / 100 : 0
-      });
+  // An instance's config for one of its locations, or undefined if it doesn't show it
+  getLocationConfig: function (instanceId, locationKey) {
+    const config = this.instances[instanceId];
+    if (!config) return undefined;
+    return this.getInstanceLocations(config).find((c) => this.getLocationKey(c) === locationKey);
+  },
+
+  // Whether a changed config needs new data rather than just a new schedule
+  needsRefetch: function (previous, config) {
+    return this.getDataCacheKey(previous) !== this.getDataCacheKey(config) ||
+      (config.hoursToShow || 48) > (previous.hoursToShow || 48) ||
+      (config.showAlerts && !previous.showAlerts) ||
+      (config.hoursOfHistory || 0) > (previous.hoursOfHistory || 0) ||
+      config.apiKey !== previous.apiKey;
+  },
+
+  // Drop an instance whose browsers all disconnected, unless one comes back first. A browser
+  // that reconnects (with a new socket) sends CONFIG again after at most two update intervals
+  // without replies (the front end's clock checks), so this waits three.
+  scheduleRemoval: function (instanceId) {
+    const config = this.instances[instanceId];
+    const delay = 3 * ((config && config.updateInterval) || 900000);
+    clearTimeout(this.removalTimeouts[instanceId]);
+    this.removalTimeouts[instanceId] = setTimeout(() => {
+      delete this.removalTimeouts[instanceId];
+      this.removeInstance(instanceId);
+    }, delay);
+  },
+
+  // Forget an instance (its browsers are gone or it switched to passive mode),
+  // stopping its locations' timers if nothing else uses them
+  removeInstance: function (instanceId) {
+    clearTimeout(this.removalTimeouts[instanceId]);
+    delete this.removalTimeouts[instanceId];
+    if (this.geocodeRetries[instanceId]) {
+      clearTimeout(this.geocodeRetries[instanceId].timeoutId);
+      delete this.geocodeRetries[instanceId];
     }
+    if (!this.instances[instanceId]) return;
 
-    // Extract rain and snow periods separately, then merge preferring snow
-    // (when it's snowing, users care about snow accumulation, not liquid equivalent)
-    const rainPeriods = this.extractPrecipitationPeriods(
-      properties.quantitativePrecipitation?.values || [],
-      now,
-      hoursToShow,
-      units,
-      "rain"
-    );
+    Log.info(`${this.name}: Removing ${instanceId}`);
+    this.unregisterInstance(instanceId);
+  },
 
-    const snowPeriods = this.extractPrecipitationPeriods(
-      properties.snowfallAmount?.values || [],
-      now,
-      hoursToShow,
-      units,
-      "snow"
-    );
+  // Unsubscribe an instance from all its locations and forget its config, leaving its
+  // sockets and any pending retry alone
+  unregisterInstance: function (instanceId) {
+    const config = this.instances[instanceId];
+    if (!config) return;
 
-    // Pass hourly data and units to filter out rain when it's freezing
-    const precipitationPeriods = this.mergePrecipitationPeriods(rainPeriods, snowPeriods, hourly, units);
+    this.getInstanceLocations(config).forEach((locationConfig) => {
+      this.unsubscribe(instanceId, this.getLocationKey(locationConfig));
+    });
+    delete this.instances[instanceId];
+    this.updateRequestBudget();
+  },
 
-    return {
-      hourly: hourly,
-      precipitationPeriods: precipitationPeriods
-    };
+  // One budget for the whole process - the strictest value configured by a current
+  // instance wins, so it goes back up when that instance changes it or goes away
+  updateRequestBudget: function () {
+    const budgets = Object.values(this.instances)
+      .map((config) => config.maxRequestsPerMinute)
+      .filter(Boolean);
+    if (budgets.length > 0) setRequestBudget(Math.min(...budgets));
   },
 
-  expandTimeSeries: function (values) {
-    const expanded = [];
+  // Location key: provider plus coordinates - everything a provider request depends on
+  getLocationKey: function (config) {
+    return `${config.provider || "weathergov"}:${config.latitude},${config.longitude}`;
+  },
 
-    for (const item of values) {
-      if (!item.validTime) continue;
+  // Data cache key: the location plus the settings that change processed values
+  // (grid URLs stay keyed by coordinates alone)
+  getDataCacheKey: function (config) {
+    return [
+      this.getLocationKey(config),
+      config.units || "imperial",
+      config.interpolation || "step",
+      config.timezone || ""
+    ].join(":");
+  },
 
-      const [startStr, durationStr] = item.validTime.split("/");
-      const startTime = new Date(startStr);
-      const hours = this.parseDuration(durationStr);
+  // Add an instance to a location, creating the location's scheduler on first use
+  // (subscribing again just picks up a changed updateInterval)
+  subscribe: function (instanceId, locationKey) {
+    let location = this.locations[locationKey];
+
+    if (!location) {
+      location = this.locations[locationKey] = {
+        key: locationKey,
+        subscribers: new Set(),
+        updateInterval: null,
+        updateIntervalId: null,
+        inFlight: null,
+        failureCount: 0,
+        recoveryTimeoutId: null
+      };
+    }
 
-      for (let h = 0; h < hours; h++) {
-        const time = new Date(startTime.getTime() + h * 3600000);
-        expanded.push({
-          time: time,
-          value: item.value
-        });
-      }
+    location.subscribers.add(instanceId);
+    this.rescheduleLocation(location);
+  },
+
+  // Remove an instance from a location; the last one out stops the location's timers
+  unsubscribe: function (instanceId, locationKey) {
+    const location = this.locations[locationKey];
+    if (!location) return;
+
+    location.subscribers.delete(instanceId);
+    if (location.subscribers.size > 0) {
+      this.rescheduleLocation(location);
+      return;
     }
 
-    return expanded;
+    clearInterval(location.updateIntervalId);
+    clearTimeout(location.recoveryTimeoutId);
+    delete this.locations[locationKey];
   },
 
-  // Parse ISO 8601 duration - only supports hours format (e.g., "PT1H", "PT6H")
-  // Other duration formats will default to 1 hour
-  parseDuration: function (duration) {
-    const match = duration.match(/PT(\d+)H/);
-    return match ? parseInt(match[1], 10) : 1;
+  // Refresh the location at the shortest updateInterval among its subscribers,
+  // restarting the timer only when that interval changed
+  rescheduleLocation: function (location) {
+    if (!location) return;
+
+    const updateInterval = Math.min(...[...location.subscribers].map((id) => this.instances[id].updateInterval));
+    if (updateInterval === location.updateInterval) return;
+
+    location.updateInterval = updateInterval;
+    clearInterval(location.updateIntervalId);
+    location.updateIntervalId = setInterval(() => {
+      this.fetchLocation(location.key);
+    }, updateInterval);
   },
 
-  findValueAtTime: function (expandedValues, targetTime) {
-    for (const item of expandedValues) {
-      if (item.time.getTime() <= targetTime.getTime() &&
-          targetTime.getTime() < item.time.getTime() + 3600000) {
-        return item.value;
-      }
-    }
-    // If not found, find closest before
-    let closest = null;
-    for (const item of expandedValues) {
-      if (item.time.getTime() <= targetTime.getTime()) {
-        closest = item.value;
-      }
+  // Start a fetch for a location, or return the one already in flight (including its retries)
+  fetchLocation: function (locationKey) {
+    const location = this.locations[locationKey];
+    if (!location) return Promise.resolve();
+
+    if (location.inFlight) {
+      Log.info(`${this.name}: Fetch already in progress for ${locationKey}, sharing it`);
+      return location.inFlight;
     }
-    return closest;
+
+    location.inFlight = this.fetchData(location).finally(() => {
+      location.inFlight = null;
+    });
+    return location.inFlight;
   },
 
-  extractPrecipitationPeriods: function (values, now, hoursToShow, units, type = "rain") {
-    const periods = [];
-    const startHour = new Date(now);
-    startHour.setMinutes(0, 0, 0);
-    const endTime = new Date(startHour.getTime() + hoursToShow * 3600000);
-
-    for (const item of values) {
-      if (!item.validTime || item.value === 0) continue;
-
-      const [startStr, durationStr] = item.validTime.split("/");
-      const periodStart = new Date(startStr);
-      const hours = this.parseDuration(durationStr);
-      const periodEnd = new Date(periodStart.getTime() + hours * 3600000);
-
-      // Check if this period overlaps with our display window
-      if (periodEnd <= startHour || periodStart >= endTime) continue;
-
-      // Clip to our display window
-      const displayStart = new Date(Math.max(periodStart.getTime(), startHour.getTime()));
-      const displayEnd = new Date(Math.min(periodEnd.getTime(), endTime.getTime()));
-
-      // Calculate hour indices for the chart
-      const startIndex = Math.floor((displayStart.getTime() - startHour.getTime()) / 3600000);
-      const endIndex = Math.floor((displayEnd.getTime() - startHour.getTime()) / 3600000);
-
-      // Calculate display amount based on units
-      const amount = units === "imperial" ? this.mmToInches(item.value) : item.value;
-      // Different thresholds for rain vs snow (snow amounts are larger)
-      // Rain: 0.01" or 0.25mm, Snow: 0.1" or 2.5mm
-      const displayThreshold = type === "snow"
-        ? (units === "imperial" ? 0.1 : 2.5)
-        : (units === "imperial" ? 0.01 : 0.25);
-
-      periods.push({
-        startIndex: startIndex,
-        endIndex: endIndex,
-        amount_mm: item.value,
-        amount: amount,
-        displayThreshold: displayThreshold,
-        units: units,
-        type: type
-      });
+  // Provider request settings covering every subscriber: the longest windows, alerts if anyone shows them
+  // The forecast window runs bufferHours past the longest hoursToShow so the charts can keep
+  // rolling forward hour by hour between fetches
+  getFetchConfig: function (configs) {
+    return {
+      ...configs[0],
+      hoursToShow: Math.max(...configs.map((config) => config.hoursToShow || 48)) + this.bufferHours,
+      hoursOfHistory: Math.max(...configs.map((config) => config.hoursOfHistory || 0)),
+      showAlerts: configs.some((config) => config.showAlerts)
+    };
+  },
+
+  fetchData: async function (location) {
+    const configs = [...location.subscribers].map((id) => this.getLocationConfig(id, location.key)).filter(Boolean);
+    if (configs.length === 0) return;
+
+    const config = this.getFetchConfig(configs);
+    const { latitude, longitude } = config;
+
+    if (!latitude || !longitude) {
+      Log.error(`${this.name}: latitude and longitude are required`);
+      return;
     }
 
-    return periods;
-  },
+    const provider = providers.get(config.provider);
+    if (!provider) {
+      Log.error(`${this.name}: Unknown provider "${config.provider}" (expected one of: ${providers.names.join(", ")})`);
+      return;
+    }
+
+    for (let retryCount = 0; ; retryCount++) {
+      try {
+        // Step 1: Get grid data from the provider (weather.gov layers, or normalized to match)
+        const properties = await provider.fetchGridData(config, this);
+
+        // Alerts are optional extras - a failure here shouldn't discard the forecast
+        let alerts = null;
+        if (config.showAlerts && provider.fetchAlerts) {
+          try {
+            alerts = await provider.fetchAlerts(config);
+          } catch (error) {
+            Log.warn(`${this.name}: Could not fetch alerts: ${error.message}`);
+            alerts = [];
+          }
+        }
 
-  // Merge rain and snow periods, preferring snow when they overlap
-  // (they represent the same precipitation event - snow amount vs liquid equivalent)
-  // Also hides rain when temp is at or below freezing (misleading to show rain at 28°F)
-  mergePrecipitationPeriods: function (rainPeriods, snowPeriods, hourly, units) {
-    // Create map of snow periods by startIndex for quick lookup
-    const snowByStart = new Map();
-    snowPeriods.forEach(p => snowByStart.set(p.startIndex, p));
-
-    const merged = [];
-    const usedSnowIndices = new Set();
-
-    // Freezing threshold: 32°F (imperial) or 0°C (metric)
-    const freezingPoint = units === "imperial" ? 32 : 0;
-
-    // For each rain period, if snow exists for same time, use snow instead
-    rainPeriods.forEach(rain => {
-      const snow = snowByStart.get(rain.startIndex);
-      if (snow && snow.amount > 0) {
-        merged.push(snow);  // Prefer snow (what users care about)
-        usedSnowIndices.add(rain.startIndex);
-      } else if (rain.amount > 0) {
-        // Check temperature at this hour - skip rain if it's freezing
-        const temp = hourly[rain.startIndex]?.temp;
-        const isFreezing = temp !== null && temp !== undefined && temp <= freezingPoint;
-
-        if (!isFreezing) {
-          merged.push(rain);  // Only show rain if above freezing
+        // Observations are extras too; providers without them leave the history empty
+        let observations = null;
+        if (config.hoursOfHistory > 0 && provider.fetchObservations) {
+          try {
+            observations = await provider.fetchObservations(config, this);
+          } catch (error) {
+            Log.warn(`${this.name}: Could not fetch observations: ${error.message}`);
+          }
         }
-        // Below freezing with no snow data: skip (don't show misleading rain)
+
+        this.deliverData(location, provider, properties, alerts, observations);
+        this.clearRecovery(location);
+        return;
+      } catch (error) {
+        Log.error(`${this.name}: Error fetching weather data for ${location.key}: ${error.message}`);
+
+        if (retryCount >= this.maxRetries) {
+          // Send error notification to every subscriber after all retries exhausted
+          const retryIn = this.scheduleRecovery(location);
+          location.subscribers.forEach((instanceId) => {
+            const config = this.getLocationConfig(instanceId, location.key);
+            this.sendSocketNotification("WEATHER_GRAPH_ERROR", {
+              instanceId: instanceId,
+              locationKey: location.key,
+              locationIndex: config ? config.locationIndex : undefined,
+              error: error.message,
+              retryIn: retryIn
+            });
+          });
+          return;
+        }
+
+        // Retry with exponential backoff, or later if the server asked us to wait
+        const delay = Math.max(this.retryDelayMs * Math.pow(2, retryCount), error.retryAfter || 0);
+        Log.info(`${this.name}: Retrying in ${delay}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
       }
+    }
+  },
+
+  // Process the provider data once per distinct display settings among the location's
+  // subscribers, cache it, and fan it out to every subscribed instance
+  deliverData: function (location, provider, properties, alerts, observations) {
+    const groups = {};
+    location.subscribers.forEach((instanceId) => {
+      const config = this.getLocationConfig(instanceId, location.key);
+      if (!config) return;
+      const cacheKey = this.getDataCacheKey(config);
+      (groups[cacheKey] = groups[cacheKey] || []).push(instanceId);
     });
 
-    // Add any snow periods not overlapping with rain
-    snowPeriods.forEach(snow => {
-      if (!usedSnowIndices.has(snow.startIndex) && snow.amount > 0) {
-        merged.push(snow);
+    const timestamp = Date.now();
+
+    Object.keys(groups).forEach((cacheKey) => {
+      const instanceIds = groups[cacheKey];
+      const config = this.getFetchConfig(instanceIds.map((id) => this.getLocationConfig(id, location.key)));
+
+      // Process the data, limited to what the provider can forecast
+      const processConfig = provider.maxHours
+        ? { ...config, hoursToShow: Math.min(config.hoursToShow, provider.maxHours) }
+        : config;
+      const processedData = processWeatherData(properties, processConfig);
+      // The forecast office's name for the spot, else whatever the geocoder matched
+      processedData.placeName = properties.placeName || config.placeName || null;
+      // For the front end's sunrise/sunset theme switching, which can't geocode itself
+      processedData.latitude = config.latitude;
+      processedData.longitude = config.longitude;
+      if (alerts) {
+        processedData.alerts = alerts;
+      }
+      if (observations) {
+        processedData.history = processObservations(observations, processConfig);
       }
+
+      // Cache the data with timestamp for fresh page loads and restarts
+      this.dataCache[cacheKey] = {
+        data: processedData,
+        timestamp: timestamp
+      };
+
+      Log.info(`${this.name}: Sending weather data for ${location.key} to ${instanceIds.length} instance(s)`);
+      instanceIds.forEach((instanceId) => {
+        const instanceConfig = this.getLocationConfig(instanceId, location.key);
+        this.sendSocketNotification("WEATHER_GRAPH_DATA", {
+          instanceId: instanceId,
+          locationKey: location.key,
+          locationIndex: instanceConfig.locationIndex,
+          data: this.getInstanceData(processedData, instanceConfig),
+          timestamp: timestamp
+        });
+      });
     });
 
-    return merged;
+    this.saveCache();
   },
 
-  celsiusToFahrenheit: function (celsius) {
-    if (celsius === null || celsius === undefined) return null;
-    return Math.round((celsius * 9 / 5) + 32);
+  // Processed data as one instance sees it: shared by everyone with the same display
+  // settings, plus the events its own thresholds find within its hoursToShow
+  getInstanceData: function (data, config) {
+    if (!Array.isArray(config.thresholds) || config.thresholds.length === 0) return data;
+    const hourly = data.hourly.slice(0, config.hoursToShow || 48);
+    return { ...data, events: evaluateThresholds(hourly, config.thresholds, data.timeZone) };
   },
 
-  kphToMph: function (kph) {
-    if (kph === null || kph === undefined) return null;
-    return Math.round(kph * 0.621371);
+  // After a failed fetch cycle, try again sooner than the regular interval, backing off
+  // further with each consecutive failure (capped at updateInterval). Returns the delay.
+  scheduleRecovery: function (location) {
+    // Everyone unsubscribed while the fetch was failing
+    if (location.subscribers.size === 0) return null;
+
+    const failures = location.failureCount;
+    location.failureCount = failures + 1;
+    const delay = Math.min(
+      location.updateInterval,
+      this.retryDelayMs * Math.pow(2, this.maxRetries + failures)
+    );
+
+    clearTimeout(location.recoveryTimeoutId);
+    location.recoveryTimeoutId = setTimeout(() => {
+      location.recoveryTimeoutId = null;
+      this.fetchLocation(location.key);
+    }, delay);
+    Log.info(`${this.name}: Fetch for ${location.key} failed ${failures + 1} time(s) in a row, next attempt in ${delay}ms`);
+    return delay;
   },
 
-  mmToInches: function (mm) {
-    if (mm === null || mm === undefined) return null;
-    return Math.round(mm * 0.0393701 * 100) / 100;
+  clearRecovery: function (location) {
+    clearTimeout(location.recoveryTimeoutId);
+    location.recoveryTimeoutId = null;
+    location.failureCount = 0;
   }
 });
@@ -0,0 +1,115 @@
+/* Shared helpers for weather providers
+ * Hourly-sample APIs (Open-Meteo, OpenWeather) are normalized into the same
+ * grid layer shape weather.gov returns ({ validTime, value } entries in SI units)
+ * so every provider goes through the same processWeatherData pipeline.
+ * All provider HTTP requests go through fetchResponse, which enforces one request
+ * budget for the whole node_helper process and honors Retry-After.
+ */
+
+// Requests sent in the last minute, and the time a server asked us to wait until
+const requestBudget = {
+  requestsPerMinute: 20,
+  sentAt: [],
+  blockedUntil: 0
+};
+
+// Build a weather.gov-style time series from parallel arrays of unix timestamps and values
+// convert is applied to every non-null value (e.g. m/s to km/h)
+function hourlySeries(timestamps, values, convert) {
+  const series = [];
+  timestamps.forEach((ts, idx) => {
+    let value = values[idx];
+    if (value === undefined) value = null;
+    if (value !== null && convert) value = convert(value);
+    series.push({
+      validTime: new Date(ts * 1000).toISOString() + "/PT1H",
+      value: value
+    });
+  });
+  return series;
+}
+
+// Build a weather.gov-style "weather" layer from per-hour weather type names
+// (e.g. "rain", "thunderstorms"); null means no significant weather that hour
+function weatherSeries(timestamps, types) {
+  return hourlySeries(timestamps, types.map((type) => (type ? [{ weather: type, coverage: null, intensity: null }] : null)));
+}
+
+function setRequestBudget(requestsPerMinute) {
+  if (requestsPerMinute > 0) {
+    requestBudget.requestsPerMinute = requestsPerMinute;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait until a request fits in the per-minute budget and no Retry-After is pending
+async function acquireRequestSlot() {
+  for (;;) {
+    const now = Date.now();
+    while (requestBudget.sentAt.length > 0 && requestBudget.sentAt[0] <= now - 60000) {
+      requestBudget.sentAt.shift();
+    }
+
+    let wait = requestBudget.blockedUntil - now;
+    if (wait <= 0 && requestBudget.sentAt.length >= requestBudget.requestsPerMinute) {
+      wait = requestBudget.sentAt[0] + 60000 - now;
+    }
+    if (wait <= 0) {
+      requestBudget.sentAt.push(now);
+      return;
+    }
+    await sleep(wait);
+  }
+}
+
+// Retry-After is either delay seconds or an HTTP date; returns ms, or null if absent/invalid
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Fetch with a descriptive error on non-2xx responses
+// The HTTP status is attached to the error so providers can react to specific codes, and
+// a Retry-After delay (ms) as retryAfter - every later request waits it out as well.
+// 304 Not Modified is returned like a success for callers sending conditional requests.
+async function fetchResponse(url, label, headers = {}) {
+  await acquireRequestSlot();
+
+  const response = await fetch(url, {
+    headers: {
+      "User-Agent": "MMM-WeatherForecastGraph/1.0",
+      ...headers
+    },
+    cache: "no-store"
+  });
+
+  if (!response.ok && response.status !== 304) {
+    const error = new Error(`${label} API error: ${response.status}`);
+    error.status = response.status;
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    if (retryAfter !== null) {
+      error.retryAfter = retryAfter;
+      requestBudget.blockedUntil = Math.max(requestBudget.blockedUntil, Date.now() + retryAfter);
+    }
+    throw error;
+  }
+
+  return response;
+}
+
+async function fetchJson(url, label, headers = {}) {
+  const response = await fetchResponse(url, label, headers);
+  return response.json();
+}
+
+module.exports = {
+  hourlySeries,
+  weatherSeries,
+  setRequestBudget,
+  parseRetryAfter,
+  fetchResponse,
+  fetchJson
+};
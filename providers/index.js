@@ -0,0 +1,20 @@
+/* Weather provider registry
+ * Each provider exports fetchGridData(config, helper), resolving to weather.gov-style
+ * grid properties plus the location's IANA timeZone (when known). node_helper runs them
+ * through processWeatherData, so every backend produces the same
+ * { hourly, precipitationPeriods, timeZone } shape for the charts.
+ */
+
+const providers = {
+  weathergov: require("./weathergov"),
+  openmeteo: require("./openmeteo"),
+  openweather: require("./openweather")
+};
+
+module.exports = {
+  names: Object.keys(providers),
+
+  get: function (name) {
+    return providers[name || "weathergov"] || null;
+  }
+};
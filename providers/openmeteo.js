@@ -0,0 +1,85 @@
+/* Weather provider: Open-Meteo (open-meteo.com)
+ * Worldwide coverage, no API key required.
+ * Hourly samples are normalized into weather.gov-style grid layers (°C, km/h, %, mm).
+ */
+
+const { fetchJson, hourlySeries, weatherSeries } = require("./common");
+
+const HOURLY_FIELDS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "dew_point_2m",
+  "relative_humidity_2m",
+  "cloud_cover",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "precipitation_probability",
+  "rain",
+  "showers",
+  "snowfall",
+  "weather_code"
+];
+
+// WMO weather interpretation codes to weather.gov weather types
+function wmoToWeatherType(code) {
+  if (code === null || code === undefined) return null;
+  if (code === 45 || code === 48) return "fog";
+  if (code >= 51 && code <= 55) return "drizzle";
+  if (code === 56 || code === 57) return "freezing_drizzle";
+  if (code >= 61 && code <= 65) return "rain";
+  if (code === 66 || code === 67) return "freezing_rain";
+  if (code >= 71 && code <= 77) return "snow";
+  if (code >= 80 && code <= 82) return "rain_showers";
+  if (code === 85 || code === 86) return "snow_showers";
+  if (code >= 95) return "thunderstorms";
+  return null;
+}
+
+module.exports = {
+  name: "openmeteo",
+  label: "Open-Meteo",
+
+  fetchGridData: async function (config) {
+    const { latitude, longitude } = config;
+    // Request one extra day so the window still fills late in the evening
+    const forecastDays = Math.min(16, Math.ceil((config.hoursToShow || 48) / 24) + 1);
+
+    const url = "https://api.open-meteo.com/v1/forecast" +
+      `?latitude=${latitude}&longitude=${longitude}` +
+      `&hourly=${HOURLY_FIELDS.join(",")}` +
+      `&forecast_days=${forecastDays}` +
+      "&timeformat=unixtime&timezone=auto" +
+      "&wind_speed_unit=kmh&precipitation_unit=mm&temperature_unit=celsius";
+
+    const data = await fetchJson(url, "Open-Meteo");
+    const hourly = data.hourly || {};
+    const times = hourly.time || [];
+
+    // Open-Meteo splits liquid precipitation into rain and convective showers
+    const liquid = times.map((_, idx) => {
+      const rain = hourly.rain?.[idx];
+      const showers = hourly.showers?.[idx];
+      if ((rain === null || rain === undefined) && (showers === null || showers === undefined)) return null;
+      return (rain || 0) + (showers || 0);
+    });
+
+    return {
+      // With timezone=auto the response names the location's zone (times stay unix)
+      timeZone: data.timezone || null,
+      temperature: { values: hourlySeries(times, hourly.temperature_2m || []) },
+      apparentTemperature: { values: hourlySeries(times, hourly.apparent_temperature || []) },
+      dewpoint: { values: hourlySeries(times, hourly.dew_point_2m || []) },
+      relativeHumidity: { values: hourlySeries(times, hourly.relative_humidity_2m || []) },
+      skyCover: { values: hourlySeries(times, hourly.cloud_cover || []) },
+      windSpeed: { values: hourlySeries(times, hourly.wind_speed_10m || []) },
+      windGust: { values: hourlySeries(times, hourly.wind_gusts_10m || []) },
+      windDirection: { values: hourlySeries(times, hourly.wind_direction_10m || []) },
+      probabilityOfPrecipitation: { values: hourlySeries(times, hourly.precipitation_probability || []) },
+      quantitativePrecipitation: { values: hourlySeries(times, liquid) },
+      // Snowfall is reported in cm
+      snowfallAmount: { values: hourlySeries(times, hourly.snowfall || [], (cm) => cm * 10) },
+      weather: { values: weatherSeries(times, (hourly.weather_code || []).map(wmoToWeatherType)) }
+    };
+  }
+};
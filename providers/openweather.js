@@ -0,0 +1,64 @@
+/* Weather provider: OpenWeather One Call API 3.0 (openweathermap.org)
+ * Worldwide coverage, requires an API key with a One Call subscription.
+ * Only 48 hours of hourly data are available.
+ * Hourly samples are normalized into weather.gov-style grid layers (°C, km/h, %, mm).
+ */
+
+const { fetchJson, hourlySeries, weatherSeries } = require("./common");
+
+const msToKph = (ms) => ms * 3.6;
+
+// OpenWeather condition ids (https://openweathermap.org/weather-conditions) to weather.gov weather types
+function conditionIdToWeatherType(id) {
+  if (!id) return null;
+  if (id >= 200 && id < 300) return "thunderstorms";
+  if (id >= 300 && id < 400) return "drizzle";
+  if (id === 511) return "freezing_rain";
+  if (id >= 500 && id < 600) return "rain";
+  if (id >= 611 && id <= 613) return "sleet";
+  if (id >= 600 && id < 700) return "snow";
+  if (id === 701 || id === 741) return "fog";
+  if (id === 711) return "smoke";
+  if (id === 721) return "haze";
+  return null;
+}
+
+module.exports = {
+  name: "openweather",
+  label: "OpenWeather",
+  maxHours: 48,
+
+  fetchGridData: async function (config) {
+    const { latitude, longitude, apiKey } = config;
+
+    if (!apiKey) {
+      throw new Error("OpenWeather provider requires apiKey");
+    }
+
+    const url = "https://api.openweathermap.org/data/3.0/onecall" +
+      `?lat=${latitude}&lon=${longitude}` +
+      "&exclude=current,minutely,daily,alerts&units=metric" +
+      `&appid=${encodeURIComponent(apiKey)}`;
+
+    const data = await fetchJson(url, "OpenWeather");
+    const hourly = data.hourly || [];
+    const times = hourly.map((h) => h.dt);
+
+    return {
+      timeZone: data.timezone || null,
+      temperature: { values: hourlySeries(times, hourly.map((h) => h.temp)) },
+      apparentTemperature: { values: hourlySeries(times, hourly.map((h) => h.feels_like)) },
+      dewpoint: { values: hourlySeries(times, hourly.map((h) => h.dew_point)) },
+      relativeHumidity: { values: hourlySeries(times, hourly.map((h) => h.humidity)) },
+      skyCover: { values: hourlySeries(times, hourly.map((h) => h.clouds)) },
+      windSpeed: { values: hourlySeries(times, hourly.map((h) => h.wind_speed), msToKph) },
+      windGust: { values: hourlySeries(times, hourly.map((h) => h.wind_gust), msToKph) },
+      windDirection: { values: hourlySeries(times, hourly.map((h) => h.wind_deg)) },
+      // pop is 0-1, weather.gov layers are percentages
+      probabilityOfPrecipitation: { values: hourlySeries(times, hourly.map((h) => h.pop), (pop) => pop * 100) },
+      quantitativePrecipitation: { values: hourlySeries(times, hourly.map((h) => h.rain?.["1h"] ?? 0)) },
+      snowfallAmount: { values: hourlySeries(times, hourly.map((h) => h.snow?.["1h"] ?? 0)) },
+      weather: { values: weatherSeries(times, hourly.map((h) => conditionIdToWeatherType(h.weather?.[0]?.id))) }
+    };
+  }
+};
@@ -0,0 +1,205 @@
+/* Weather provider: National Weather Service (api.weather.gov)
+ * US locations only, no API key required.
+ * Looks up the forecast grid for the coordinates, then returns the raw grid properties.
+ * Grid data is already in the shape processWeatherData expects, so no normalization is needed;
+ * only the point's time zone and place name (from the points lookup) are added.
+ * Observations from the nearest station are converted to the same layer shape.
+ */
+
+const Log = require("logger");
+const { fetchJson, fetchResponse } = require("./common");
+
+// Versioned Accept header busts intermediate caches that ignore cache: "no-store"
+function getHeaders() {
+  return { "Accept": `application/geo+json;v=${Date.now()}` };
+}
+
+// When a grid response stops being fresh according to its Expires header, measured
+// against the server's Date header so a skewed mirror clock doesn't matter
+function getExpiry(response) {
+  const expires = Date.parse(response.headers.get("Expires"));
+  if (isNaN(expires)) return 0;
+  const serverDate = Date.parse(response.headers.get("Date"));
+  return isNaN(serverDate) ? expires : Date.now() + (expires - serverDate);
+}
+
+// Observation fields that share their name with a grid layer
+const OBSERVED_LAYERS = ["temperature", "dewpoint", "windSpeed", "windGust", "windDirection", "relativeHumidity"];
+
+// "City, ST" from the points response's nearest named place
+function getPlaceName(relativeLocation) {
+  const place = relativeLocation && relativeLocation.properties;
+  if (!place || !place.city) return null;
+  return place.state ? `${place.city}, ${place.state}` : place.city;
+}
+
+// Station observations (newest first, as the API sends them) as grid layers, each value
+// standing until the next observation but for no more than an hour. Feels-like is the
+// heat index or wind chill where the station reports one, else the temperature.
+function getObservationLayers(features) {
+  const observations = features
+    .map((feature) => feature.properties)
+    .filter((observation) => observation && observation.timestamp)
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  const layers = { apparentTemperature: { values: [] } };
+  OBSERVED_LAYERS.forEach((name) => {
+    layers[name] = { values: [] };
+  });
+
+  observations.forEach((observation, idx) => {
+    const next = observations[idx + 1];
+    const minutes = next
+      ? Math.min(60, Math.round((Date.parse(next.timestamp) - Date.parse(observation.timestamp)) / 60000))
+      : 60;
+    const validTime = `${observation.timestamp}/PT${Math.max(1, minutes)}M`;
+    const value = (name) => (observation[name] ? observation[name].value : null);
+
+    OBSERVED_LAYERS.forEach((name) => {
+      layers[name].values.push({ validTime: validTime, value: value(name) });
+    });
+    layers.apparentTemperature.values.push({
+      validTime: validTime,
+      value: value("heatIndex") ?? value("windChill") ?? value("temperature")
+    });
+  });
+
+  return layers;
+}
+
+// Grid URL, time zone, place name and observation stations URL for the coordinates
+// (from cache or API). Entries cached before all of these were stored are looked up again.
+async function getPoint(config, helper) {
+  const { latitude, longitude } = config;
+  const cacheKey = `${latitude},${longitude}`;
+  let point = helper.gridUrlCache[cacheKey];
+
+  if (!point || typeof point === "string" || point.placeName === undefined || point.stationsUrl === undefined) {
+    const pointsUrl = `https://api.weather.gov/points/${latitude},${longitude}`;
+    const pointsData = await fetchJson(pointsUrl, "Points", getHeaders());
+    point = {
+      url: pointsData.properties.forecastGridData,
+      timeZone: pointsData.properties.timeZone || null,
+      placeName: getPlaceName(pointsData.properties.relativeLocation),
+      stationsUrl: pointsData.properties.observationStations || null
+    };
+
+    // Cache the grid URL - it only changes when the NWS re-grids an office,
+    // which shows up below as a redirect or 404 from the grid endpoint
+    helper.gridUrlCache[cacheKey] = point;
+    helper.saveCache();
+    Log.info(`MMM-WeatherForecastGraph: Cached grid URL for ${cacheKey}`);
+  }
+
+  return { cacheKey: cacheKey, point: point };
+}
+
+module.exports = {
+  name: "weathergov",
+  label: "weather.gov",
+
+  fetchGridData: async function (config, helper) {
+    // Step 1: Get grid URL, time zone and place name
+    const { cacheKey, point } = await getPoint(config, helper);
+    const forecastGridDataUrl = point.url;
+
+    // Step 2: Get hourly forecast grid data
+    // The last response is reused until it expires, then revalidated with If-Modified-Since
+    const previous = helper.gridResponseCache[forecastGridDataUrl];
+    if (previous && Date.now() < previous.expiresAt) {
+      return { ...previous.properties, timeZone: point.timeZone, placeName: point.placeName };
+    }
+
+    const headers = getHeaders();
+    if (previous && previous.lastModified) {
+      headers["If-Modified-Since"] = previous.lastModified;
+    }
+
+    let gridResponse;
+    try {
+      gridResponse = await fetchResponse(forecastGridDataUrl, "Grid", headers);
+    } catch (error) {
+      if (error.status === 404) {
+        // Grid no longer exists - drop it so the retry looks the point up again
+        delete helper.gridUrlCache[cacheKey];
+        helper.saveCache();
+        Log.warn(`MMM-WeatherForecastGraph: Grid URL for ${cacheKey} returned 404, invalidated`);
+      }
+      throw error;
+    }
+
+    if (gridResponse.redirected && gridResponse.url !== forecastGridDataUrl) {
+      helper.gridUrlCache[cacheKey] = { ...point, url: gridResponse.url };
+      helper.saveCache();
+      Log.info(`MMM-WeatherForecastGraph: Grid URL for ${cacheKey} redirected, updated cache`);
+    }
+
+    if (gridResponse.status === 304) {
+      previous.expiresAt = getExpiry(gridResponse);
+      return { ...previous.properties, timeZone: point.timeZone, placeName: point.placeName };
+    }
+
+    const gridData = await gridResponse.json();
+    helper.gridResponseCache[forecastGridDataUrl] = {
+      properties: gridData.properties,
+      lastModified: gridResponse.headers.get("Last-Modified"),
+      expiresAt: getExpiry(gridResponse)
+    };
+
+    return { ...gridData.properties, timeZone: point.timeZone, placeName: point.placeName };
+  },
+
+  // The last config.hoursOfHistory hours of observations from the station nearest the point
+  fetchObservations: async function (config, helper) {
+    const { point } = await getPoint(config, helper);
+    if (!point.stationsUrl) return null;
+
+    // Stations are listed nearest first; the pick is kept with the point
+    if (!point.stationId) {
+      const stationsData = await fetchJson(point.stationsUrl, "Stations", getHeaders());
+      const station = (stationsData.features || [])[0];
+      if (!station) return null;
+      point.stationId = station.properties.stationIdentifier;
+      helper.saveCache();
+      Log.info(`MMM-WeatherForecastGraph: Using observation station ${point.stationId}`);
+    }
+
+    // One extra hour so the first hour shown has the observation from just before it
+    const start = new Date(Date.now() - (config.hoursOfHistory + 1) * 3600000).toISOString();
+    const observationsUrl = `https://api.weather.gov/stations/${point.stationId}/observations?start=${encodeURIComponent(start)}`;
+    let observationsData;
+    try {
+      observationsData = await fetchJson(observationsUrl, "Observations", getHeaders());
+    } catch (error) {
+      if (error.status === 404) {
+        // Station retired - pick the nearest one again next time
+        delete point.stationId;
+        helper.saveCache();
+      }
+      throw error;
+    }
+
+    return { ...getObservationLayers(observationsData.features || []), timeZone: point.timeZone };
+  },
+
+  // Active watches, warnings and advisories for the point
+  fetchAlerts: async function (config) {
+    const { latitude, longitude } = config;
+    const alertsUrl = `https://api.weather.gov/alerts/active?point=${latitude},${longitude}`;
+    const alertsData = await fetchJson(alertsUrl, "Alerts", getHeaders());
+    const toUnix = (iso) => (iso ? Math.floor(new Date(iso).getTime() / 1000) : null);
+
+    return (alertsData.features || []).map((feature) => {
+      const alert = feature.properties;
+      return {
+        id: alert.id,
+        event: alert.event,
+        severity: alert.severity,
+        headline: alert.headline,
+        onset: toUnix(alert.onset || alert.effective),
+        // Open-ended alerts have no end time; expires is when NWS will next reissue it
+        ends: toUnix(alert.ends || alert.expires)
+      };
+    });
+  }
+};
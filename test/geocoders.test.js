@@ -0,0 +1,71 @@
+/* Tests for the geocoder registry (geocoders/index.js)
+ * The geocoders' lookups are replaced, so nothing is fetched.
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Module = require("module");
+
+// "logger" is provided by MagicMirror; the registry only warns through it
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+  return request === "logger" ? { warn: () => {} } : originalLoad.call(this, request, ...args);
+};
+const geocoders = require("../geocoders");
+Module._load = originalLoad;
+
+const census = require("../geocoders/census");
+const openmeteo = require("../geocoders/openmeteo");
+
+describe("geocoders.geocode", () => {
+  let calls;
+  // Replace a geocoder's lookup with one that records the call and returns or throws result
+  const stub = (geocoder, result) => {
+    geocoder.geocode = async () => {
+      calls.push(geocoder.name);
+      if (result instanceof Error) throw result;
+      return result;
+    };
+  };
+  const boulder = { latitude: 40.015, longitude: -105.2705, name: "Boulder, CO" };
+
+  beforeEach(() => {
+    calls = [];
+  });
+
+  it("tries the configured geocoder first, then the others", async () => {
+    stub(census, null);
+    stub(openmeteo, boulder);
+
+    assert.deepEqual(await geocoders.geocode("Boulder, CO", "census"), { ...boulder, geocoder: "openmeteo" });
+    assert.deepEqual(calls, ["census", "openmeteo"]);
+
+    calls = [];
+    stub(census, boulder);
+    assert.deepEqual(await geocoders.geocode("Boulder, CO", "openmeteo"), { ...boulder, geocoder: "openmeteo" });
+    assert.deepEqual(calls, ["openmeteo"]);
+  });
+
+  it("uses the default order for unknown geocoder names", async () => {
+    stub(census, null);
+    stub(openmeteo, null);
+
+    assert.equal(await geocoders.geocode("Nowhere", "nope"), null);
+    assert.deepEqual(calls, ["census", "openmeteo"]);
+  });
+
+  it("falls back past a failing geocoder", async () => {
+    stub(census, new Error("Census geocoder request failed: 503"));
+    stub(openmeteo, boulder);
+
+    assert.deepEqual(await geocoders.geocode("Boulder, CO"), { ...boulder, geocoder: "openmeteo" });
+  });
+
+  it("reports a failed request instead of no match", async () => {
+    stub(census, new Error("Census geocoder request failed: 503"));
+    stub(openmeteo, null);
+
+    await assert.rejects(geocoders.geocode("Boulder, CO"), /503/);
+    assert.deepEqual(calls, ["census", "openmeteo"]);
+  });
+});
@@ -0,0 +1,34 @@
+/* Tests for the shared provider helpers (providers/common.js) */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { hourlySeries, parseRetryAfter } = require("../providers/common");
+
+describe("hourlySeries", () => {
+  it("builds weather.gov-style entries and converts non-null values", () => {
+    const series = hourlySeries([1710043200, 1710046800], [10, null], (v) => v * 2);
+
+    assert.deepEqual(series, [
+      { validTime: "2024-03-10T04:00:00.000Z/PT1H", value: 20 },
+      { validTime: "2024-03-10T05:00:00.000Z/PT1H", value: null }
+    ]);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads delay seconds", () => {
+    assert.equal(parseRetryAfter("120"), 120000);
+  });
+
+  it("reads HTTP dates relative to now", () => {
+    const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+    const delay = parseRetryAfter(inOneMinute);
+    assert.ok(delay > 58000 && delay <= 60000, `unexpected delay ${delay}`);
+    assert.equal(parseRetryAfter("Sat, 09 Mar 2024 20:59:07 GMT"), 0);
+  });
+
+  it("ignores missing or invalid values", () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter("soon"), null);
+  });
+});
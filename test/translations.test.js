@@ -0,0 +1,24 @@
+/* Tests for the translation files (translations/*.json) */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+
+const dir = path.join(__dirname, "..", "translations");
+const load = (file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+describe("translations", () => {
+  const english = load("en.json");
+
+  fs.readdirSync(dir).filter((file) => file !== "en.json").forEach((file) => {
+    it(`${file} has the English keys and placeholders`, () => {
+      const translation = load(file);
+      assert.deepEqual(Object.keys(translation).sort(), Object.keys(english).sort());
+      Object.keys(english).forEach((key) => {
+        assert.deepEqual(placeholders(translation[key]), placeholders(english[key]), key);
+      });
+    });
+  });
+});
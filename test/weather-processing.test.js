@@ -0,0 +1,479 @@
+/* Tests for the weather data pipeline (weather-processing.js)
+ * Fixtures in test/fixtures are weather.gov gridpoint responses trimmed to the layers
+ * the module reads. Local-time assertions assume the fixtures' America/New_York zone.
+ */
+
+process.env.TZ = "America/New_York";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const processing = require("../weather-processing");
+
+function loadFixture(name) {
+  const file = path.join(__dirname, "fixtures", name);
+  return JSON.parse(fs.readFileSync(file, "utf8")).properties;
+}
+
+const localHours = (hourly) => hourly.map((h) => new Date(h.dt * 1000).getHours());
+const pick = (periods) => periods.map(({ type, startIndex, endIndex, amount, lane }) => ({ type, startIndex, endIndex, amount, lane }));
+
+const HOUR = 3600000;
+
+describe("parseDuration", () => {
+  it("parses hours, days, minutes and combinations", () => {
+    assert.equal(processing.parseDuration("PT1H"), HOUR);
+    assert.equal(processing.parseDuration("PT6H"), 6 * HOUR);
+    assert.equal(processing.parseDuration("P1D"), 24 * HOUR);
+    assert.equal(processing.parseDuration("P1DT6H"), 30 * HOUR);
+    assert.equal(processing.parseDuration("PT30M"), HOUR / 2);
+    assert.equal(processing.parseDuration("PT1H30M"), 1.5 * HOUR);
+    assert.equal(processing.parseDuration("P1W"), 7 * 24 * HOUR);
+  });
+
+  it("falls back to one hour for missing or invalid durations", () => {
+    assert.equal(processing.parseDuration(undefined), HOUR);
+    assert.equal(processing.parseDuration("6H"), HOUR);
+    assert.equal(processing.parseDuration("PT0H"), HOUR);
+  });
+});
+
+describe("parseTimeSeries", () => {
+  it("turns validTimes into sorted intervals", () => {
+    const series = processing.parseTimeSeries([
+      { validTime: "2024-03-10T12:00:00+00:00/P1DT6H", value: null },
+      { validTime: "2024-03-10T06:00:00+00:00/PT6H", value: 3 },
+      { value: 5 }
+    ]);
+
+    assert.equal(series.length, 2);
+    assert.equal(new Date(series[0].start).toISOString(), "2024-03-10T06:00:00.000Z");
+    assert.equal(new Date(series[0].end).toISOString(), "2024-03-10T12:00:00.000Z");
+    assert.equal(series[0].value, 3);
+    assert.equal(new Date(series[1].end).toISOString(), "2024-03-11T18:00:00.000Z");
+    assert.equal(series[1].value, null);
+  });
+});
+
+describe("resampleSeries", () => {
+  const series = processing.parseTimeSeries([
+    { validTime: "2024-11-03T04:00:00+00:00/PT1H", value: 10 },
+    { validTime: "2024-11-03T07:00:00+00:00/P1D", value: 20 },
+    { validTime: "2024-11-04T07:00:00+00:00/PT20M", value: 30 },
+    { validTime: "2024-11-04T07:20:00+00:00/PT40M", value: 40 },
+    { validTime: "2024-11-04T08:00:00+00:00/PT1H", value: null }
+  ]);
+  const resample = (start, hours, mode) => processing.resampleSeries(series, new Date(start), hours, mode);
+
+  it("steps values over the hours their intervals cover", () => {
+    const { values, gaps } = resample("2024-11-03T07:00:00Z", 24);
+    // Whole day periods are not truncated to their first hour
+    assert.ok(values.every((v) => v === 20));
+    assert.ok(gaps.every((g) => g === null));
+  });
+
+  it("picks the sub-hourly value covering most of the hour", () => {
+    assert.equal(resample("2024-11-04T07:00:00Z", 1).values[0], 40);
+  });
+
+  it("marks gaps with a reason instead of carrying values forward", () => {
+    const { values, gaps } = resample("2024-11-03T03:00:00Z", 5);
+    assert.deepEqual(values, [null, 10, null, null, 20]);
+    assert.deepEqual(gaps, ["before_start", null, "missing", "missing", null]);
+
+    const end = resample("2024-11-04T08:00:00Z", 2);
+    assert.deepEqual(end.values, [null, null]);
+    assert.deepEqual(end.gaps, ["null_value", "after_end"]);
+
+    assert.deepEqual(processing.resampleSeries([], new Date("2024-11-04T08:00:00Z"), 1).gaps, ["no_data"]);
+  });
+
+  it("interpolates between adjacent intervals in linear mode", () => {
+    const ramp = processing.parseTimeSeries([
+      { validTime: "2024-11-03T00:00:00+00:00/PT4H", value: 10 },
+      { validTime: "2024-11-03T04:00:00+00:00/PT2H", value: 18 },
+      { validTime: "2024-11-03T07:00:00+00:00/PT1H", value: 0 }
+    ]);
+    const { values } = processing.resampleSeries(ramp, new Date("2024-11-03T00:00:00Z"), 8, "linear");
+
+    // The last hour before the hole holds its value, since there is nothing adjacent to head towards
+    assert.deepEqual(values, [10, 12, 14, 16, 18, 18, null, 0]);
+  });
+});
+
+describe("time zone helpers", () => {
+  it("reads wall-clock fields in a given zone", () => {
+    const parts = processing.getZonedParts(new Date("2024-03-10T07:30:00Z"), "America/Denver");
+    assert.deepEqual(
+      [parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.weekday],
+      [2024, 3, 10, 0, 30, 0]
+    );
+  });
+
+  it("finds the top of the hour in half-hour offset zones", () => {
+    const start = processing.startOfHour(new Date("2024-03-10T03:20:45.500Z"), "Asia/Kolkata");
+    assert.equal(start.toISOString(), "2024-03-10T02:30:00.000Z");
+    assert.equal(processing.startOfHour(new Date("2024-03-10T03:20:45.500Z")).toISOString(), "2024-03-10T03:00:00.000Z");
+  });
+
+  it("finds midnight on days with a DST change", () => {
+    // 23-hour and 25-hour days in New York
+    assert.equal(processing.startOfDay(new Date("2024-03-10T20:00:00Z"), "America/New_York").toISOString(), "2024-03-10T05:00:00.000Z");
+    assert.equal(processing.startOfDay(new Date("2024-11-03T20:00:00Z"), "America/New_York").toISOString(), "2024-11-03T04:00:00.000Z");
+    assert.equal(processing.startOfDay(new Date("2024-03-10T20:00:00Z"), "Europe/London").toISOString(), "2024-03-10T00:00:00.000Z");
+  });
+});
+
+describe("processWeatherData across DST transitions", () => {
+  it("keeps absolute hourly steps when clocks spring forward", () => {
+    const properties = loadFixture("grid-okx-spring-forward.json");
+    // 10:20 PM EST, March 9 - clocks jump from 2 AM to 3 AM overnight
+    const { hourly } = processing.processWeatherData(properties, { hoursToShow: 8, units: "imperial" }, new Date("2024-03-10T03:20:00Z"));
+
+    assert.equal(hourly.length, 8);
+    hourly.slice(1).forEach((h, i) => assert.equal(h.dt - hourly[i].dt, 3600));
+    assert.deepEqual(localHours(hourly), [22, 23, 0, 1, 3, 4, 5, 6]);
+    // The PT4H period starting at midnight EST covers through 4 AM EDT
+    assert.deepEqual(hourly.map((h) => h.temp), [40, 39, 37, 37, 37, 37, 35, 35]);
+  });
+
+  it("keeps the repeated hour when clocks fall back", () => {
+    const properties = loadFixture("grid-okx-fall-back.json");
+    // 12:45 AM EDT, November 3 - 1 AM happens twice
+    const { hourly } = processing.processWeatherData(properties, { hoursToShow: 6, units: "imperial" }, new Date("2024-11-03T04:45:00Z"));
+
+    assert.deepEqual(localHours(hourly), [0, 1, 1, 2, 3, 4]);
+    assert.equal(new Set(hourly.map((h) => h.dt)).size, 6);
+    assert.deepEqual(hourly.map((h) => h.temp), [50, 50, 49, 47, 47, 47]);
+    // No wind speed forecast for 05Z-07Z
+    assert.deepEqual(hourly.map((h) => h.wind_speed), [6, null, null, 12, 12, 12]);
+    assert.equal(hourly[1].gaps.wind_speed, "missing");
+  });
+
+  it("starts hours in the forecast time zone", () => {
+    const properties = { ...loadFixture("grid-okx-spring-forward.json"), timeZone: "Asia/Kolkata" };
+    const now = new Date("2024-03-10T03:20:00Z");
+    const result = processing.processWeatherData(properties, { hoursToShow: 2 }, now);
+
+    assert.equal(result.timeZone, "Asia/Kolkata");
+    assert.equal(new Date(result.hourly[0].dt * 1000).toISOString(), "2024-03-10T02:30:00.000Z");
+
+    // The timezone option wins over the provider's zone
+    const configured = processing.processWeatherData(properties, { hoursToShow: 2, timezone: "America/New_York" }, now);
+    assert.equal(configured.timeZone, "America/New_York");
+    assert.equal(new Date(configured.hourly[0].dt * 1000).toISOString(), "2024-03-10T03:00:00.000Z");
+  });
+});
+
+describe("processWeatherData values", () => {
+  const properties = loadFixture("grid-okx-spring-forward.json");
+  const now = new Date("2024-03-10T03:20:00Z");
+
+  it("converts units for imperial display", () => {
+    const { hourly } = processing.processWeatherData(properties, { hoursToShow: 8, units: "imperial" }, now);
+
+    assert.equal(hourly[0].wind_speed, 10);
+    assert.equal(hourly[6].wind_speed, 15);
+    assert.equal(hourly[0].feels_like, 34);
+    assert.equal(hourly[0].dew_point, 28);
+    assert.equal(hourly[0].wind_deg, 230);
+    assert.equal(hourly[0].pop, 0.2);
+    assert.equal(hourly[4].pop, 0.6);
+  });
+
+  it("keeps metric values in grid units", () => {
+    const { hourly } = processing.processWeatherData(properties, { hoursToShow: 8, units: "metric" }, now);
+
+    assert.equal(hourly[0].temp, 4);
+    assert.equal(hourly[0].wind_speed, 17);
+    assert.equal(hourly[3].wind_gust, 33);
+  });
+
+  it("passes missing values through as null in both unit systems", () => {
+    ["imperial", "metric"].forEach((units) => {
+      const { hourly } = processing.processWeatherData(properties, { hoursToShow: 8, units: units }, now);
+      assert.equal(hourly[0].wind_gust, null, units);
+      assert.equal(hourly[2].wind_gust, null, units);
+    });
+
+    const fallBack = loadFixture("grid-okx-fall-back.json");
+    const { hourly } = processing.processWeatherData(fallBack, { hoursToShow: 6 }, new Date("2024-11-03T04:45:00Z"));
+    // Layers absent from the grid, and a null precipitation probability
+    assert.equal(hourly[0].humidity, null);
+    assert.equal(hourly[0].dew_point, null);
+    assert.equal(hourly[0].pop, null);
+    assert.equal(hourly[0].gaps.pop, "null_value");
+    assert.deepEqual(hourly[0].conditions, []);
+    assert.equal(hourly[0].condition, null);
+  });
+
+  it("interpolates continuous layers when configured", () => {
+    const { hourly } = processing.processWeatherData(properties, { hoursToShow: 8, units: "metric", interpolation: "linear" }, now);
+
+    // 4.4°C at 02Z heading to 3.9°C at 04Z; wind direction is never interpolated
+    assert.equal(hourly[0].temp, 4);
+    assert.deepEqual(hourly.map((h) => h.wind_deg), [230, 230, 230, 230, 230, 230, 230, 230]);
+    // 2.8°C from 05Z easing to 1.7°C at 09Z instead of dropping at once
+    assert.equal(hourly[2].temp, 3);
+    assert.equal(hourly[4].temp, 2);
+  });
+
+  it("defaults to imperial units", () => {
+    const { hourly } = processing.processWeatherData(properties, { hoursToShow: 1 }, now);
+    assert.equal(hourly[0].temp, 40);
+  });
+});
+
+describe("processObservations", () => {
+  // Station reports at :51 past each hour, valid until the next one
+  const layer = (values) => ({
+    values: values.map((value, i) => ({ validTime: `2024-03-10T${11 + i}:51:00+00:00/PT60M`, value: value }))
+  });
+  const observations = {
+    temperature: layer([10, 12, null]),
+    windSpeed: layer([20, 20, 30])
+  };
+  const now = new Date("2024-03-10T15:20:00Z");
+
+  it("fills the hours before the current hour with the observation in force at each", () => {
+    const history = processing.processObservations(observations, { hoursOfHistory: 3, units: "metric" }, now);
+
+    assert.deepEqual(history.map((h) => new Date(h.dt * 1000).toISOString()),
+      ["2024-03-10T12:00:00.000Z", "2024-03-10T13:00:00.000Z", "2024-03-10T14:00:00.000Z"]);
+    assert.deepEqual(history.map((h) => h.temp), [10, 12, null]);
+    assert.ok(history.every((h) => h.observed));
+    assert.equal(history[0].dew_point, null);
+  });
+
+  it("converts units and returns nothing without history hours", () => {
+    const history = processing.processObservations(observations, { hoursOfHistory: 2 }, now);
+    assert.deepEqual(history.map((h) => h.temp), [54, null]);
+    assert.deepEqual(history.map((h) => h.wind_speed), [12, 19]);
+
+    assert.deepEqual(processing.processObservations(observations, {}, now), []);
+    assert.deepEqual(processing.processObservations(null, { hoursOfHistory: 3 }, now), []);
+  });
+});
+
+describe("sliceForecast", () => {
+  const hourly = [0, 1, 2, 3, 4, 5].map((i) => ({ dt: 1000 + i * 3600, temp: i }));
+  const periods = [
+    { type: "rain", startIndex: 0, endIndex: 2 },
+    { type: "snow", startIndex: 1, endIndex: 5 },
+    { type: "ice", startIndex: 5, endIndex: 6 }
+  ];
+
+  it("starts at the given hour and re-indexes periods, clipping them to the window", () => {
+    const { hourly: hours, precipitationPeriods } = processing.sliceForecast(hourly, periods, 1000 + 2 * 3600, 3);
+
+    assert.deepEqual(hours.map((h) => h.temp), [2, 3, 4]);
+    assert.deepEqual(precipitationPeriods.map(({ type, startIndex, endIndex }) => ({ type, startIndex, endIndex })), [
+      { type: "snow", startIndex: 0, endIndex: 3 }
+    ]);
+  });
+
+  it("returns an empty window once the data runs out", () => {
+    const sliced = processing.sliceForecast(hourly, periods, 1000 + 6 * 3600, 3);
+    assert.deepEqual(sliced, { hourly: [], precipitationPeriods: [] });
+  });
+});
+
+describe("hourlyPrecipitation", () => {
+  const total = (hours, type) => hours.reduce((sum, h) => sum + h[type], 0);
+  // 10 mm over 00:00-06:00 UTC
+  const values = [{ validTime: "2024-03-10T00:00:00+00:00/PT6H", value: 10 }];
+  const windowStart = new Date("2024-03-10T00:00:00Z");
+
+  it("spreads a period's amount over its hours", () => {
+    const periods = processing.extractPrecipitationPeriods(values, windowStart, 12, "metric");
+    const hours = processing.hourlyPrecipitation(periods, 12);
+
+    assert.equal(hours[0].rain, 10 / 6);
+    assert.equal(hours[6].rain, 0);
+    assert.ok(Math.abs(total(hours, "rain") - 10) < 1e-9);
+  });
+
+  it("counts only the part of a period inside the window or slice", () => {
+    // Cut off by the window's end after 3 of its 6 hours
+    const clipped = processing.extractPrecipitationPeriods(values, windowStart, 3, "metric");
+    assert.ok(Math.abs(total(processing.hourlyPrecipitation(clipped, 3), "rain") - 5) < 1e-9);
+
+    // Started 4 hours before the slice
+    const periods = processing.extractPrecipitationPeriods(values, windowStart, 12, "metric");
+    const hourly = Array.from({ length: 12 }, (_, i) => ({ dt: windowStart.getTime() / 1000 + i * 3600 }));
+    const sliced = processing.sliceForecast(hourly, periods, hourly[4].dt, 8);
+    const hours = processing.hourlyPrecipitation(sliced.precipitationPeriods, 8);
+    assert.ok(Math.abs(total(hours, "rain") - 10 / 3) < 1e-9);
+    assert.equal(hours[2].rain, 0);
+  });
+});
+
+describe("evaluateThresholds", () => {
+  // Hourly entries from local midnight, 2024-01-15 in New York
+  const start = Date.parse("2024-01-15T05:00:00Z") / 1000;
+  const hourly = [34, 32, 30, 31, 33, 29, 28, 35].map((temp, i) => ({
+    dt: start + i * 3600,
+    temp: temp,
+    pop: i >= 6 ? 0.7 : 0.1
+  }));
+
+  it("groups consecutive matching hours into events with their peak", () => {
+    const events = processing.evaluateThresholds(hourly, [{ field: "temp", op: "<=", value: 32, label: "Freeze" }]);
+
+    assert.deepEqual(events.map(({ label, start, end, peak }) => ({ label, start, end, peak })), [
+      { label: "Freeze", start: start + 3600, end: start + 4 * 3600, peak: 30 },
+      { label: "Freeze", start: start + 5 * 3600, end: start + 7 * 3600, peak: 28 }
+    ]);
+  });
+
+  it("compares pop in percent and limits matches to the given local hours", () => {
+    const events = processing.evaluateThresholds(hourly, [
+      { field: "pop", op: ">=", value: 70, hours: [7, 9] },
+      { field: "temp", op: "<", value: 30, hours: [22, 6] }
+    ], "America/New_York");
+
+    assert.deepEqual(events.map(({ threshold, label, start, end }) => ({ threshold, label, start, end })), [
+      { threshold: 1, label: "temp < 30", start: start + 5 * 3600, end: start + 6 * 3600 },
+      { threshold: 0, label: "pop >= 70", start: start + 7 * 3600, end: start + 8 * 3600 }
+    ]);
+  });
+
+  it("skips thresholds with an unknown field or operator", () => {
+    assert.deepEqual(processing.evaluateThresholds(hourly, [
+      { field: "snow", op: ">", value: 0 },
+      { field: "temp", op: "=>", value: 0 }
+    ]), []);
+    assert.deepEqual(processing.evaluateThresholds(hourly, undefined), []);
+  });
+});
+
+describe("isDaytime", () => {
+  const at = (iso) => Date.parse(iso) / 1000;
+
+  it("switches within minutes of sunrise and sunset", () => {
+    // Denver, June 21 2024: sunrise 5:32 MDT, sunset 20:31 MDT
+    assert.equal(processing.isDaytime(at("2024-06-21T11:25:00Z"), 39.74, -104.99), false);
+    assert.equal(processing.isDaytime(at("2024-06-21T11:40:00Z"), 39.74, -104.99), true);
+    assert.equal(processing.isDaytime(at("2024-06-22T02:25:00Z"), 39.74, -104.99), true);
+    assert.equal(processing.isDaytime(at("2024-06-22T02:40:00Z"), 39.74, -104.99), false);
+  });
+
+  it("handles polar day and night", () => {
+    // Tromsø: midnight sun in June, polar night in December
+    assert.equal(processing.isDaytime(at("2024-06-21T23:00:00Z"), 69.65, 18.96), true);
+    assert.equal(processing.isDaytime(at("2024-12-21T11:00:00Z"), 69.65, 18.96), false);
+  });
+});
+
+describe("extractPrecipitationPeriods", () => {
+  const startHour = new Date("2024-01-12T15:00:00Z");
+  const values = [
+    { validTime: "2024-01-12T06:00:00+00:00/PT6H", value: 4 },
+    { validTime: "2024-01-12T12:00:00+00:00/PT6H", value: 2.54 },
+    { validTime: "2024-01-12T18:00:00+00:00/PT6H", value: 0 },
+    { validTime: "2024-01-13T00:00:00+00:00/PT6H", value: 7.62 },
+    { validTime: "2024-01-13T06:00:00+00:00/PT6H", value: 1 }
+  ];
+
+  it("clips periods to the display window", () => {
+    const periods = processing.extractPrecipitationPeriods(values, startHour, 12, "imperial", "rain");
+
+    // The 06Z period ends before the window and the 06Z next-day period starts after it
+    assert.deepEqual(periods.map((p) => [p.startIndex, p.endIndex]), [[0, 3], [9, 12]]);
+    assert.deepEqual(periods.map((p) => p.amount), [0.1, 0.3]);
+    assert.equal(periods[0].amount_mm, 2.54);
+  });
+
+  it("uses larger display thresholds for snow", () => {
+    const rain = processing.extractPrecipitationPeriods(values, startHour, 12, "imperial", "rain");
+    const snow = processing.extractPrecipitationPeriods(values, startHour, 12, "metric", "snow");
+
+    assert.equal(rain[0].displayThreshold, 0.01);
+    assert.equal(snow[0].displayThreshold, 2.5);
+    assert.equal(snow[0].amount, 2.54);
+    assert.equal(snow[0].type, "snow");
+  });
+
+  it("keeps sub-hour periods in the hour they fall in", () => {
+    const periods = processing.extractPrecipitationPeriods([
+      { validTime: "2024-01-12T16:30:00+00:00/PT30M", value: 2 },
+      { validTime: "2024-01-12T18:00:00+00:00/P1D", value: 10 }
+    ], startHour, 12, "metric", "rain");
+
+    assert.deepEqual(periods.map((p) => [p.startIndex, p.endIndex]), [[1, 2], [3, 12]]);
+  });
+});
+
+describe("parseConditions", () => {
+  it("maps weather types to condition codes in priority order", () => {
+    const codes = processing.parseConditions([
+      { coverage: "patchy", weather: "fog", intensity: null },
+      { coverage: "chance", weather: "rain_showers", intensity: "light" },
+      { coverage: "slight_chance", weather: "thunderstorms", intensity: null }
+    ]);
+
+    assert.deepEqual(codes, ["thunder", "rain", "fog"]);
+  });
+
+  it("ignores empty entries and unknown types", () => {
+    assert.deepEqual(processing.parseConditions([{ coverage: null, weather: null, intensity: null }]), []);
+    assert.deepEqual(processing.parseConditions([{ weather: "volcanic_ash" }]), []);
+    assert.deepEqual(processing.parseConditions(null), []);
+  });
+});
+
+describe("precipitation type handling", () => {
+  it("converts around the freezing point", () => {
+    assert.equal(processing.celsiusToFahrenheit(0), 32);
+    assert.equal(processing.celsiusToFahrenheit(-0.5555555555555556), 31);
+    assert.equal(processing.celsiusToFahrenheit(null), null);
+    assert.equal(processing.mmToInches(0.762), 0.03);
+  });
+
+  it("prefers snow and ice accumulations over liquid equivalent", () => {
+    const properties = loadFixture("grid-lot-winter-mix.json");
+    const { hourly, precipitationPeriods } = processing.processWeatherData(
+      properties,
+      { hoursToShow: 24, units: "imperial" },
+      new Date("2024-01-12T15:10:00Z")
+    );
+
+    assert.deepEqual(hourly[9].conditions, ["freezing_rain", "snow", "fog"]);
+    assert.deepEqual(pick(precipitationPeriods), [
+      // Rain above freezing before the changeover
+      { type: "rain", startIndex: 0, endIndex: 3, amount: 0.1, lane: 0 },
+      // Freezing rain with an ice amount replaces the liquid total
+      { type: "ice", startIndex: 3, endIndex: 9, amount: 0.05, lane: 0 },
+      // Mixed snow and ice stack in separate lanes
+      { type: "snow", startIndex: 9, endIndex: 15, amount: 2, lane: 0 },
+      { type: "ice", startIndex: 9, endIndex: 12, amount: 0.03, lane: 1 },
+      // 15-21 is snow showers with no snow amount - its liquid total is hidden
+      // The last period has no weather conditions, so it stays rain despite 26°F
+      { type: "rain", startIndex: 21, endIndex: 24, amount: 0.05, lane: 0 }
+    ]);
+  });
+
+  it("shows rain at freezing temperatures when rain is forecast", () => {
+    const hourly = [
+      { temp: 30, conditions: ["freezing_rain"] },
+      { temp: 30, conditions: ["freezing_rain"] }
+    ];
+    const rain = [{ startIndex: 0, endIndex: 2, amount: 0.2, type: "rain" }];
+
+    const merged = processing.mergePrecipitationPeriods(rain, [], [], hourly);
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].type, "rain");
+  });
+
+  it("drops zero amounts", () => {
+    const hourly = [{ conditions: [] }];
+    const merged = processing.mergePrecipitationPeriods(
+      [{ startIndex: 0, endIndex: 1, amount: 0, type: "rain" }],
+      [{ startIndex: 0, endIndex: 1, amount: 0, type: "snow" }],
+      [],
+      hourly
+    );
+    assert.deepEqual(merged, []);
+  });
+});
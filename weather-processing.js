@@ -0,0 +1,617 @@
+/* MMM-WeatherForecastGraph: weather data processing
+ * Pure functions that turn weather.gov grid data into the hourly series and
+ * precipitation periods the charts draw. No I/O, so the same code runs in
+ * node_helper.js, the test page (test.html) and the Node test suite.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WeatherForecastGraphProcessing = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Condition codes for weather.gov "weather" grid layer types, in display priority order
+  // (an hour with both thunderstorms and rain is primarily "thunder")
+  const CONDITION_TYPES = {
+    thunder: ["thunderstorms", "water_spouts"],
+    freezing_rain: ["freezing_rain", "freezing_drizzle", "freezing_spray"],
+    sleet: ["sleet", "hail", "ice_crystals"],
+    snow: ["snow", "snow_showers", "blowing_snow"],
+    rain: ["rain", "rain_showers", "drizzle"],
+    fog: ["fog", "freezing_fog", "ice_fog", "haze", "smoke"]
+  };
+  const CONDITION_PRIORITY = Object.keys(CONDITION_TYPES);
+  const HOUR_MS = 3600000;
+  // Grid layers resampled onto the hourly series, keyed by the hourly field they feed
+  // Continuous quantities may be interpolated; directions, probabilities and weather always step
+  const HOURLY_LAYERS = {
+    temp: { layer: "temperature", continuous: true },
+    feels_like: { layer: "apparentTemperature", continuous: true },
+    wind_speed: { layer: "windSpeed", continuous: true },
+    wind_gust: { layer: "windGust", continuous: true },
+    wind_deg: { layer: "windDirection", continuous: false },
+    pop: { layer: "probabilityOfPrecipitation", continuous: false },
+    dew_point: { layer: "dewpoint", continuous: true },
+    humidity: { layer: "relativeHumidity", continuous: true },
+    clouds: { layer: "skyCover", continuous: true },
+    conditions: { layer: "weather", continuous: false }
+  };
+  // Fields station observations can fill for the hours before the forecast
+  const OBSERVED_FIELDS = ["temp", "feels_like", "wind_speed", "wind_gust", "wind_deg", "dew_point", "humidity"];
+  // Fields converted from metric (grid layers are degC and km/h) for imperial units
+  const TEMPERATURE_FIELDS = ["temp", "feels_like", "dew_point"];
+  const SPEED_FIELDS = ["wind_speed", "wind_gust"];
+  // Comparisons a threshold may use, and the hourly fields it may test
+  const THRESHOLD_OPERATORS = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "==": (a, b) => a === b,
+    "!=": (a, b) => a !== b
+  };
+  const THRESHOLD_FIELDS = ["temp", "feels_like", "wind_speed", "wind_gust", "pop", "dew_point", "humidity", "clouds"];
+  const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  // Codes meaning the liquid precipitation amount really falls as rain
+  const LIQUID_CONDITIONS = ["thunder", "freezing_rain", "rain"];
+  // Codes meaning the liquid amount is the water equivalent of frozen precipitation
+  const FROZEN_CONDITIONS = ["sleet", "snow"];
+
+  // Whether two precipitation periods cover any of the same hours
+  // (periods clipped to less than an hour still occupy their start hour)
+  function periodsOverlap(a, b) {
+    const aEnd = Math.max(a.endIndex, a.startIndex + 1);
+    const bEnd = Math.max(b.endIndex, b.startIndex + 1);
+    return a.startIndex < bEnd && b.startIndex < aEnd;
+  }
+
+  // Turn weather.gov grid properties into { hourly, precipitationPeriods, timeZone } for the charts
+  // Hours start at the top of the current hour in the forecast time zone (config.timezone,
+  // else the zone the provider reported, else the local zone) and step in absolute hours,
+  // so DST changes repeat or skip a wall-clock label rather than shifting the data.
+  // Hours a layer has no value for are null, with the reason under the hour's gaps field.
+  // now is injectable so tests can pin the display window
+  function processWeatherData(properties, config, now = new Date()) {
+    const hoursToShow = config.hoursToShow || 48;
+    const units = config.units || "imperial";
+    const timeZone = config.timezone || properties.timeZone || null;
+    const interpolation = config.interpolation || "step";
+
+    const startHour = startOfHour(now, timeZone);
+
+    // Resample every layer onto the hourly grid in one pass each
+    const layers = {};
+    Object.keys(HOURLY_LAYERS).forEach((field) => {
+      const { layer, continuous } = HOURLY_LAYERS[field];
+      const series = parseTimeSeries(properties[layer]?.values || []);
+      layers[field] = resampleSeries(series, startHour, hoursToShow, continuous ? interpolation : "step");
+    });
+
+    // Build hourly data first (we need temps for precipitation filtering)
+    const hourly = [];
+    for (let i = 0; i < hoursToShow; i++) {
+      const targetTime = new Date(startHour.getTime() + i * HOUR_MS);
+
+      const value = (field) => toDisplayUnits(field, layers[field].values[i], units);
+      const pop = layers.pop.values[i];
+      const conditions = parseConditions(layers.conditions.values[i]);
+
+      const entry = {
+        dt: Math.floor(targetTime.getTime() / 1000),
+        temp: value("temp"),
+        feels_like: value("feels_like"),
+        wind_speed: value("wind_speed"),
+        wind_gust: value("wind_gust"),
+        // Degrees the wind blows from, 0 = north (same as OpenWeather's wind_deg)
+        wind_deg: value("wind_deg"),
+        pop: pop !== null && pop !== undefined ? pop / 100 : null,
+        dew_point: value("dew_point"),
+        humidity: value("humidity"),
+        clouds: value("clouds"),
+        // Condition codes for this hour, most significant first (empty when none forecast)
+        conditions: conditions,
+        condition: conditions[0] || null
+      };
+
+      // Only hours with missing data carry a gaps object, e.g. { wind_gust: "null_value" }
+      const gaps = {};
+      Object.keys(layers).forEach((field) => {
+        if (layers[field].gaps[i]) gaps[field] = layers[field].gaps[i];
+      });
+      if (Object.keys(gaps).length > 0) entry.gaps = gaps;
+
+      hourly.push(entry);
+    }
+
+    // Extract rain, snow and ice periods separately, then merge preferring the frozen amounts
+    // (when it's snowing or icing, users care about accumulation, not liquid equivalent)
+    const rainPeriods = extractPrecipitationPeriods(
+      properties.quantitativePrecipitation?.values || [],
+      startHour,
+      hoursToShow,
+      units,
+      "rain"
+    );
+
+    const snowPeriods = extractPrecipitationPeriods(
+      properties.snowfallAmount?.values || [],
+      startHour,
+      hoursToShow,
+      units,
+      "snow"
+    );
+
+    const icePeriods = extractPrecipitationPeriods(
+      properties.iceAccumulation?.values || [],
+      startHour,
+      hoursToShow,
+      units,
+      "ice"
+    );
+
+    // Pass hourly data so forecast conditions can decide what the liquid amounts represent
+    const precipitationPeriods = mergePrecipitationPeriods(rainPeriods, snowPeriods, icePeriods, hourly);
+
+    return {
+      hourly: hourly,
+      precipitationPeriods: precipitationPeriods,
+      timeZone: timeZone
+    };
+  }
+
+  // Turn station observations into hourly entries for the config.hoursOfHistory hours before
+  // hour 0 of processWeatherData's series (same fields and units, minus the forecast-only
+  // ones). Observations come as grid layers keyed like the forecast's, each value standing
+  // from its observation time until the next one. Entries are marked observed; fields
+  // without an observation for the hour are null.
+  function processObservations(observations, config, now = new Date()) {
+    const hoursOfHistory = config.hoursOfHistory || 0;
+    if (!observations || hoursOfHistory <= 0) return [];
+    const units = config.units || "imperial";
+    const timeZone = config.timezone || observations.timeZone || null;
+
+    const firstHour = new Date(startOfHour(now, timeZone).getTime() - hoursOfHistory * HOUR_MS);
+    const layers = {};
+    OBSERVED_FIELDS.forEach((field) => {
+      const series = parseTimeSeries(observations[HOURLY_LAYERS[field].layer]?.values || []);
+      layers[field] = resampleSeries(series, firstHour, hoursOfHistory);
+    });
+
+    const history = [];
+    for (let i = 0; i < hoursOfHistory; i++) {
+      const entry = { dt: Math.floor((firstHour.getTime() + i * HOUR_MS) / 1000), observed: true };
+      OBSERVED_FIELDS.forEach((field) => {
+        entry[field] = toDisplayUnits(field, layers[field].values[i], units);
+      });
+      history.push(entry);
+    }
+    return history;
+  }
+
+  // Round a metric grid value for display, converting temperatures and speeds for imperial units
+  function toDisplayUnits(field, value, units) {
+    if (units === "imperial" && TEMPERATURE_FIELDS.includes(field)) return celsiusToFahrenheit(value);
+    if (units === "imperial" && SPEED_FIELDS.includes(field)) return kphToMph(value);
+    return roundOrNull(value);
+  }
+
+  // Parse a grid layer's values into { start, end, value } intervals (epoch ms), sorted by start
+  function parseTimeSeries(values) {
+    const series = [];
+
+    for (const item of values) {
+      if (!item.validTime) continue;
+      const { start, end } = parseValidTime(item.validTime);
+      if (isNaN(start)) continue;
+      series.push({ start: start, end: end, value: item.value });
+    }
+
+    return series.sort((a, b) => a.start - b.start);
+  }
+
+  // Split a weather.gov validTime ("2024-03-10T06:00:00+00:00/PT6H") into epoch ms bounds
+  function parseValidTime(validTime) {
+    const [startStr, durationStr] = validTime.split("/");
+    const start = new Date(startStr).getTime();
+    return { start: start, end: start + parseDuration(durationStr) };
+  }
+
+  // Parse an ISO 8601 duration ("PT1H", "P1D", "P1DT6H", "PT30M") to milliseconds
+  // Days count as 24 hours: grid validTimes are UTC, so there are no DST-length days.
+  // Missing or unparseable durations fall back to one hour.
+  function parseDuration(duration) {
+    const match = typeof duration === "string" &&
+      duration.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) return HOUR_MS;
+
+    const [, weeks, days, hours, minutes, seconds] = match.map((part) => Number(part || 0));
+    const ms = ((weeks * 7 + days) * 24 + hours) * HOUR_MS + minutes * 60000 + seconds * 1000;
+    return ms > 0 ? ms : HOUR_MS;
+  }
+
+  // Resample a parsed series (see parseTimeSeries) onto `hours` consecutive hours from startHour
+  // Each hour takes the interval covering most of it (ties go to the earlier one). In "linear"
+  // mode, numeric values are interpolated towards the next interval when it follows on directly;
+  // "step" holds each value for its whole interval.
+  // Returns { values, gaps }: hours without a value are null in values, and gaps holds why -
+  // "no_data" (empty layer), "before_start", "after_end", "missing" (a hole between intervals)
+  // or "null_value" (the provider sent null) - or null where there is a value.
+  // Walks the series once, so the cost is O(hours + intervals).
+  function resampleSeries(series, startHour, hours, mode = "step") {
+    const values = new Array(hours).fill(null);
+    const gaps = new Array(hours).fill(null);
+    let first = 0;
+
+    for (let i = 0; i < hours; i++) {
+      const from = startHour.getTime() + i * HOUR_MS;
+      const to = from + HOUR_MS;
+
+      // Intervals ending before this hour can't cover any later hour either
+      while (first < series.length && series[first].end <= from) first++;
+
+      let best = -1;
+      let bestOverlap = 0;
+      for (let j = first; j < series.length && series[j].start < to; j++) {
+        const overlap = Math.min(series[j].end, to) - Math.max(series[j].start, from);
+        if (overlap > bestOverlap) {
+          best = j;
+          bestOverlap = overlap;
+        }
+      }
+
+      if (best === -1) {
+        if (series.length === 0) gaps[i] = "no_data";
+        else if (to <= series[0].start) gaps[i] = "before_start";
+        else if (first >= series.length) gaps[i] = "after_end";
+        else gaps[i] = "missing";
+        continue;
+      }
+
+      const item = series[best];
+      if (item.value === null || item.value === undefined) {
+        gaps[i] = "null_value";
+        continue;
+      }
+
+      values[i] = item.value;
+
+      const next = series[best + 1];
+      if (mode === "linear" && typeof item.value === "number" && next &&
+          next.start === item.end && typeof next.value === "number") {
+        const fraction = Math.min(1, Math.max(0, (from - item.start) / (next.start - item.start)));
+        values[i] = item.value + (next.value - item.value) * fraction;
+      }
+    }
+
+    return { values: values, gaps: gaps };
+  }
+
+  // startHour is the top of hour 0 (see startOfHour); periods are hour indices from it
+  function extractPrecipitationPeriods(values, startHour, hoursToShow, units, type = "rain") {
+    const periods = [];
+    const windowStart = startHour.getTime();
+    const windowEnd = windowStart + hoursToShow * HOUR_MS;
+
+    for (const item of values) {
+      if (!item.validTime || item.value === 0) continue;
+
+      const { start, end } = parseValidTime(item.validTime);
+
+      // Check if this period overlaps with our display window
+      if (isNaN(start) || end <= windowStart || start >= windowEnd) continue;
+
+      // Clip to our display window; a period ending mid-hour still occupies that hour
+      const startIndex = Math.floor((Math.max(start, windowStart) - windowStart) / HOUR_MS);
+      const endIndex = Math.ceil((Math.min(end, windowEnd) - windowStart) / HOUR_MS);
+
+      // Calculate display amount based on units
+      const amount = units === "imperial" ? mmToInches(item.value) : item.value;
+      // Different thresholds for rain/ice vs snow (snow amounts are larger)
+      // Rain and ice: 0.01" or 0.25mm, Snow: 0.1" or 2.5mm
+      const displayThreshold = type === "snow"
+        ? (units === "imperial" ? 0.1 : 2.5)
+        : (units === "imperial" ? 0.01 : 0.25);
+
+      periods.push({
+        startIndex: startIndex,
+        endIndex: endIndex,
+        // The whole period in fractional hours from the window start, before clipping -
+        // amount_mm falls over all of it (see hourlyPrecipitation)
+        startHour: (start - windowStart) / HOUR_MS,
+        endHour: (end - windowStart) / HOUR_MS,
+        amount_mm: item.value,
+        amount: amount,
+        displayThreshold: displayThreshold,
+        units: units,
+        type: type
+      });
+    }
+
+    return periods;
+  }
+
+  // Map a weather grid layer value (array of { coverage, weather, intensity } entries)
+  // to condition codes sorted by CONDITION_PRIORITY
+  function parseConditions(entries) {
+    if (!Array.isArray(entries)) return [];
+    const codes = new Set();
+    entries.forEach((entry) => {
+      if (!entry || !entry.weather) return;
+      const code = CONDITION_PRIORITY.find((c) => CONDITION_TYPES[c].includes(entry.weather));
+      if (code) codes.add(code);
+    });
+    return CONDITION_PRIORITY.filter((c) => codes.has(c));
+  }
+
+  // Classify a rain period from the condition codes of the hours it covers:
+  // "liquid" if rain/thunder/freezing rain is forecast, "frozen" if only snow/sleet is,
+  // null when the weather layer says nothing about precipitation type
+  function classifyPeriod(hourly, period) {
+    const codes = new Set();
+    for (let i = period.startIndex; i < Math.max(period.endIndex, period.startIndex + 1); i++) {
+      (hourly[i]?.conditions || []).forEach((c) => codes.add(c));
+    }
+    if (LIQUID_CONDITIONS.some((c) => codes.has(c))) return "liquid";
+    if (FROZEN_CONDITIONS.some((c) => codes.has(c))) return "frozen";
+    return null;
+  }
+
+  // Merge rain, snow and ice periods into what the precipitation chart shows:
+  // - Snow and ice accumulations are always shown; when both are forecast for the same
+  //   hours (mixed precipitation) they are stacked in separate lanes
+  // - Rain is hidden where snow or ice overlaps it (it's their liquid equivalent), and where
+  //   the forecast conditions say the precipitation is frozen (snow/sleet only)
+  // - Otherwise rain is shown regardless of temperature - freezing rain without an ice
+  //   amount is still rain on the ground
+  function mergePrecipitationPeriods(rainPeriods, snowPeriods, icePeriods, hourly) {
+    const frozen = [...snowPeriods, ...icePeriods].filter((p) => p.amount > 0);
+
+    const rain = rainPeriods.filter((p) =>
+      p.amount > 0 &&
+      !frozen.some((f) => periodsOverlap(p, f)) &&
+      classifyPeriod(hourly, p) !== "frozen"
+    );
+
+    return assignLanes([...frozen, ...rain]);
+  }
+
+  // Give each period the lowest lane (stacking row) not used by an overlapping period
+  function assignLanes(periods) {
+    const placed = [];
+    periods.forEach((period) => {
+      let lane = 0;
+      while (placed.some((p) => p.lane === lane && periodsOverlap(p, period))) {
+        lane++;
+      }
+      placed.push({ ...period, lane: lane });
+    });
+    return placed.sort((a, b) => a.startIndex - b.startIndex || a.lane - b.lane);
+  }
+
+  // The count hours of processed data from startDt (unix seconds) on, with precipitation
+  // periods re-indexed to the slice and clipped to it. Shows a current window from data
+  // processed a while ago (cached, or kept across failed fetches).
+  function sliceForecast(hourly, periods, startDt, count) {
+    let offset = hourly.findIndex((h) => h.dt >= startDt);
+    if (offset === -1) offset = hourly.length;
+
+    const hours = hourly.slice(offset, offset + count);
+    const slicedPeriods = periods
+      .filter((p) => p.endIndex - offset > 0 && p.startIndex - offset < hours.length)
+      .map((p) => offset === 0 && p.endIndex <= hours.length ? p : {
+        ...p,
+        startIndex: Math.max(0, p.startIndex - offset),
+        endIndex: Math.min(hours.length, p.endIndex - offset),
+        startHour: (p.startHour ?? p.startIndex) - offset,
+        endHour: (p.endHour ?? p.endIndex) - offset
+      });
+
+    return { hourly: hours, precipitationPeriods: slicedPeriods };
+  }
+
+  // Precipitation in mm falling in each of the first count hours, by type
+  // ({ rain, snow, ice }). Each period's amount is spread evenly over its whole forecast
+  // period (startHour-endHour), so a period clipped by the window or a slice only
+  // contributes the part that falls in the hours still covered.
+  function hourlyPrecipitation(periods, count) {
+    const hours = [];
+    for (let i = 0; i < count; i++) hours.push({ rain: 0, snow: 0, ice: 0 });
+
+    periods.forEach((period) => {
+      const start = period.startHour ?? period.startIndex;
+      const end = period.endHour ?? period.endIndex;
+      if (!(end > start) || !period.amount_mm) return;
+      for (let idx = Math.max(0, Math.floor(start)); idx < Math.min(count, Math.ceil(end)); idx++) {
+        const overlap = Math.min(idx + 1, end) - Math.max(idx, start);
+        hours[idx][period.type] += period.amount_mm * overlap / (end - start);
+      }
+    });
+
+    return hours;
+  }
+
+  // Find the runs of consecutive hours where each threshold holds, e.g.
+  // { field: "temp", op: "<=", value: 32, label: "Freeze" }, comparing in the units of
+  // hourly (pop in percent, as charted). An optional hours: [from, to] only matches those
+  // local hours: from inclusive, to exclusive, wrapping past midnight when from > to.
+  // Thresholds with an unknown field or op are skipped.
+  // Returns events sorted by start: { threshold (its index), label, field, op, value, start,
+  // end, peak }, start and end in unix seconds (end closes the last matching hour) and peak
+  // the most extreme value reached - the lowest for < and <=, otherwise the highest.
+  function evaluateThresholds(hourly, thresholds, timeZone) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0) return [];
+    const hourOfDay = hourly.map((h) => getZonedParts(new Date(h.dt * 1000), timeZone).hour);
+    const events = [];
+
+    thresholds.forEach((threshold, index) => {
+      const test = THRESHOLD_OPERATORS[threshold.op];
+      if (!test || !THRESHOLD_FIELDS.includes(threshold.field)) return;
+      const [from, to] = Array.isArray(threshold.hours) ? threshold.hours : [0, 24];
+      const inHours = (hour) => (from <= to ? hour >= from && hour < to : hour >= from || hour < to);
+      const lowest = threshold.op.startsWith("<");
+
+      let event = null;
+      hourly.forEach((h, idx) => {
+        let value = h[threshold.field];
+        if (value !== null && value !== undefined && threshold.field === "pop") value = Math.round(value * 100);
+
+        if (value === null || value === undefined || !inHours(hourOfDay[idx]) || !test(value, threshold.value)) {
+          event = null;
+          return;
+        }
+        if (!event) {
+          event = {
+            threshold: index,
+            label: threshold.label || `${threshold.field} ${threshold.op} ${threshold.value}`,
+            field: threshold.field,
+            op: threshold.op,
+            value: threshold.value,
+            start: h.dt,
+            end: h.dt + HOUR_MS / 1000,
+            peak: value
+          };
+          events.push(event);
+          return;
+        }
+        event.end = h.dt + HOUR_MS / 1000;
+        if (lowest ? value < event.peak : value > event.peak) event.peak = value;
+      });
+    });
+
+    return events.sort((a, b) => a.start - b.start);
+  }
+
+  // Wall-clock fields of a date in a time zone (IANA name; null/undefined for the local zone)
+  // weekday is 0 for Sunday, like Date.getDay()
+  const zoneFormatters = {};
+  function getZonedParts(date, timeZone) {
+    const key = timeZone || "";
+    if (!zoneFormatters[key]) {
+      zoneFormatters[key] = new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+      });
+    }
+
+    const parts = {};
+    zoneFormatters[key].formatToParts(date).forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      // Some engines format midnight as "24" even with h23
+      hour: Number(parts.hour) % 24,
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  // Top of the hour containing date, in the given time zone
+  // (only differs from UTC hours for zones with :30/:45 offsets)
+  function startOfHour(date, timeZone) {
+    const time = new Date(date).getTime();
+    const parts = getZonedParts(new Date(time), timeZone);
+    return new Date(time - parts.minute * 60000 - parts.second * 1000 - (((time % 1000) + 1000) % 1000));
+  }
+
+  // Midnight at the start of the calendar day containing date, in the given time zone
+  function startOfDay(date, timeZone) {
+    const time = new Date(date).getTime();
+    const parts = getZonedParts(new Date(time), timeZone);
+    const wallMidnight = Date.UTC(parts.year, parts.month - 1, parts.day);
+    // Wall time minus the zone offset, re-checked at the candidate in case the offset
+    // changed between midnight and date (DST switches happen overnight)
+    let midnight = wallMidnight - getZoneOffset(time, timeZone);
+    midnight = wallMidnight - getZoneOffset(midnight, timeZone);
+    return new Date(midnight);
+  }
+
+  // Offset of the zone from UTC at the given epoch ms, in ms
+  function getZoneOffset(time, timeZone) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - (time - (((time % 1000) + 1000) % 1000));
+  }
+
+  // Whether the sun is up (upper limb above the horizon, refraction included) at a unix
+  // timestamp, for latitude/longitude in degrees. Uses the sunrise equation's low-precision
+  // solar position, good to a minute or two; polar day and night come out naturally.
+  function isDaytime(timestamp, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const days = timestamp / 86400 + 2440587.5 - 2451545; // since J2000
+    // Solar noon nearest the timestamp
+    const meanNoon = Math.round(days + longitude / 360) - longitude / 360;
+    const anomaly = ((357.5291 + 0.98560028 * meanNoon) % 360) * rad;
+    const center = 1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+    const eclipticLongitude = (anomaly / rad + center + 180 + 102.9372) % 360 * rad;
+    const transit = meanNoon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(23.4397 * rad));
+
+    const hourAngle = (days - transit) * 2 * Math.PI;
+    const altitude = Math.asin(
+      Math.sin(latitude * rad) * Math.sin(declination) +
+      Math.cos(latitude * rad) * Math.cos(declination) * Math.cos(hourAngle)
+    );
+    return altitude > -0.833 * rad;
+  }
+
+  function roundOrNull(value) {
+    if (value === null || value === undefined) return null;
+    return Math.round(value);
+  }
+
+  function celsiusToFahrenheit(celsius) {
+    if (celsius === null || celsius === undefined) return null;
+    return Math.round((celsius * 9 / 5) + 32);
+  }
+
+  function kphToMph(kph) {
+    if (kph === null || kph === undefined) return null;
+    return Math.round(kph * 0.621371);
+  }
+
+  function mmToInches(mm) {
+    if (mm === null || mm === undefined) return null;
+    return Math.round(mm * 0.0393701 * 100) / 100;
+  }
+
+  return {
+    CONDITION_PRIORITY,
+    periodsOverlap,
+    processWeatherData,
+    processObservations,
+    toDisplayUnits,
+    parseTimeSeries,
+    parseValidTime,
+    parseDuration,
+    resampleSeries,
+    extractPrecipitationPeriods,
+    parseConditions,
+    classifyPeriod,
+    mergePrecipitationPeriods,
+    assignLanes,
+    sliceForecast,
+    hourlyPrecipitation,
+    evaluateThresholds,
+    getZonedParts,
+    startOfHour,
+    startOfDay,
+    isDaytime,
+    roundOrNull,
+    celsiusToFahrenheit,
+    kphToMph,
+    mmToInches
+  };
+});